@@ -0,0 +1,108 @@
+import { copyMove } from "./puzzle.js";
+import { formatMove, parseMove, parseMoves } from "./notation.js";
+
+export const API_EVENTS = ["move", "select", "scramble", "reset", "solved"];
+
+// Public handle on one game (`window.TwistyTorus`, or a <twisty-torus> element's `api`)
+// for tutorials, bots and embedding pages. The game supplies the operations
+// (`applyMoves`, `getState`, `setState`, `scramble`, `reset`, `startChallenge`); this
+// class checks the input, speaks the same move notation as the move box and passes game
+// events on to listeners.
+export class TwistyTorusApi {
+  constructor({ puzzle, applyMoves, getState, setState, scramble, reset, startChallenge }) {
+    this.puzzle = puzzle;
+    this.operations = { applyMoves, getState, setState, scramble, reset, startChallenge };
+    this.listeners = new Map();
+  }
+
+  applyMove(move, options = {}) {
+    return this.applyMoves([move], options);
+  }
+
+  // `moves` is notation text ("M3 L5' M0+2") or an array of notation strings and move
+  // objects ({ axis, ringIndex, steps, width }). Nothing is applied unless every move
+  // is valid. Moves count and go into undo history like typed moves; they are applied
+  // before this returns unless `animate` is set. Returns the moves as move objects.
+  applyMoves(moves, { animate = false } = {}) {
+    const parsed = this.parseMoves(moves);
+    this.operations.applyMoves(parsed, { animate: Boolean(animate) });
+    return parsed.map(copyMove);
+  }
+
+  getState() {
+    return this.operations.getState();
+  }
+
+  setState(state) {
+    this.operations.setState(state);
+    return this.getState();
+  }
+
+  // Scrambles with `seed` (a random one when omitted) and returns the seed used.
+  scramble(seed) {
+    if (seed !== undefined && seed !== null && (typeof seed !== "string" || seed.trim() === "")) {
+      throw new Error("The scramble seed must be a non-empty string.");
+    }
+    return this.operations.scramble(seed === undefined || seed === null ? null : seed);
+  }
+
+  reset() {
+    this.operations.reset();
+  }
+
+  // `pattern` is a built-in pattern id or a pattern object (format in patterns.js).
+  // Returns the new state; an invalid pattern throws before anything changes.
+  startChallenge(pattern) {
+    this.operations.startChallenge(pattern);
+    return this.getState();
+  }
+
+  on(type, listener) {
+    if (!API_EVENTS.includes(type)) {
+      throw new Error(`Unknown event "${type}" (use ${API_EVENTS.join(", ")})`);
+    }
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  emit(type, payload) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of Array.from(listeners)) {
+      listener(payload);
+    }
+  }
+
+  parseMoves(moves) {
+    if (typeof moves === "string") {
+      return parseMoves(moves, this.puzzle);
+    }
+    if (!Array.isArray(moves)) {
+      throw new Error("Moves must be notation text or an array of moves.");
+    }
+    // Move objects go through the notation round trip so they are checked exactly
+    // like typed moves (axis, ring range, width, non-zero steps).
+    return moves.map((move) =>
+      parseMove(typeof move === "string" ? move.trim() : formatMove(normalizeMoveObject(move)), this.puzzle)
+    );
+  }
+}
+
+function normalizeMoveObject(move) {
+  if (!move || typeof move !== "object" || !Number.isInteger(move.ringIndex) || !Number.isInteger(move.steps)) {
+    throw new Error(`Invalid move ${JSON.stringify(move)}`);
+  }
+  return move;
+}
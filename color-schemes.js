@@ -0,0 +1,163 @@
+import { modulo } from "./math.js";
+import { octantColorIndexForCell } from "./puzzle.js";
+
+export const PALETTE = [
+  0xd43729,
+  0x2e84d8,
+  0x2a9d55,
+  0xef9b20,
+  0x7d4ac7,
+  0x139f9f,
+  0xd64a8e,
+  0xd6bf1f,
+];
+
+// Spoken names of the palette colors, for screen-reader announcements.
+export const PALETTE_NAMES = ["red", "blue", "green", "orange", "purple", "teal", "pink", "yellow"];
+
+export const DEFAULT_PALETTE_ID = "standard";
+
+// Palettes for schemes with up to eight colors. The two colorblind-safe ones are the
+// Okabe-Ito set and Paul Tol's "muted" set, which stay distinct under the common
+// forms of color vision deficiency.
+export const PALETTES = [
+  { id: "standard", label: "Standard", colors: PALETTE, names: PALETTE_NAMES },
+  {
+    id: "okabe-ito",
+    label: "Colorblind safe (Okabe-Ito)",
+    colors: [0xe69f00, 0x56b4e9, 0x009e73, 0xf0e442, 0x0072b2, 0xd55e00, 0xcc79a7, 0x000000],
+    names: ["orange", "sky blue", "bluish green", "yellow", "blue", "vermilion", "reddish purple", "black"],
+  },
+  {
+    id: "tol-muted",
+    label: "Colorblind safe (Tol muted)",
+    colors: [0xcc6677, 0x332288, 0xddcc77, 0x117733, 0x88ccee, 0x882255, 0x44aa99, 0x999933],
+    names: ["rose", "indigo", "sand", "green", "cyan", "wine", "teal", "olive"],
+  },
+];
+
+const HUE_NAMES = ["red", "orange", "yellow", "lime", "green", "green", "teal", "sky blue", "blue", "violet", "purple", "pink"];
+
+export const DEFAULT_COLOR_SCHEME_ID = "octant";
+
+export const COLOR_SCHEMES = [
+  {
+    id: "octant",
+    label: "Octants",
+    colorIndexForCell: octantColorIndexForCell,
+    colorCount: () => 8,
+  },
+  {
+    id: "horizontal-stripes",
+    label: "Horizontal stripes",
+    colorIndexForCell: (iu, iv) => iv,
+    colorCount: (uCells, vCells) => vCells,
+  },
+  {
+    id: "vertical-stripes",
+    label: "Vertical stripes",
+    colorIndexForCell: (iu) => iu,
+    colorCount: (uCells) => uCells,
+  },
+  {
+    id: "checkerboard",
+    label: "Checkerboard",
+    colorIndexForCell: (iu, iv) => (iu + iv) % 2,
+    colorCount: () => 2,
+  },
+  {
+    id: "tube-quadrants",
+    label: "Tube quadrants",
+    colorIndexForCell: (iu, iv, uCells, vCells) => Math.floor(((iv + 0.5) * 4) / vCells),
+    colorCount: () => 4,
+  },
+  {
+    id: "gradient",
+    label: "Gradient (all distinct)",
+    colorIndexForCell: (iu, iv, uCells, vCells) => iu * vCells + iv,
+    colorCount: (uCells, vCells) => uCells * vCells,
+    colorHex: (index, uCells, vCells) => {
+      const iu = Math.floor(index / vCells);
+      const iv = index % vCells;
+      const lightness = vCells > 1 ? 0.3 + (0.42 * iv) / (vCells - 1) : 0.5;
+      return hslToHex(iu / uCells, 0.72, lightness);
+    },
+  },
+];
+
+export function getColorScheme(id) {
+  return COLOR_SCHEMES.find((scheme) => scheme.id === id) || null;
+}
+
+export function getPalette(id) {
+  return PALETTES.find((palette) => palette.id === id) || null;
+}
+
+export function colorHexForIndex(scheme, index, uCells, vCells, palette = PALETTE) {
+  if (scheme.colorHex) {
+    return scheme.colorHex(index, uCells, vCells);
+  }
+
+  const count = scheme.colorCount(uCells, vCells);
+  if (count <= palette.length) {
+    return palette[index];
+  }
+  return hslToHex(index / count, 0.68, 0.52);
+}
+
+// Name for a sticker color: its palette name, or a rough hue name (with a light/dark
+// qualifier) for the generated colors of large schemes.
+export function colorName(hex, palette = PALETTE, names = PALETTE_NAMES) {
+  const paletteIndex = palette.indexOf(hex);
+  if (paletteIndex !== -1 && names[paletteIndex]) {
+    return names[paletteIndex];
+  }
+
+  const [red, green, blue] = [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map((channel) => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const chroma = max - min;
+  if (chroma < 0.12) {
+    return lightness < 0.25 ? "black" : lightness > 0.8 ? "white" : "gray";
+  }
+
+  let hue;
+  if (max === red) {
+    hue = (green - blue) / chroma;
+  } else if (max === green) {
+    hue = (blue - red) / chroma + 2;
+  } else {
+    hue = (red - green) / chroma + 4;
+  }
+  const name = HUE_NAMES[modulo(Math.round((hue / 6) * HUE_NAMES.length), HUE_NAMES.length)];
+  if (lightness < 0.35) {
+    return `dark ${name}`;
+  }
+  return lightness > 0.65 ? `light ${name}` : name;
+}
+
+export function hslToHex(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const huePrime = (((hue % 1) + 1) % 1) * 6;
+  const secondary = chroma * (1 - Math.abs((huePrime % 2) - 1));
+  const match = lightness - chroma / 2;
+
+  let rgb;
+  if (huePrime < 1) {
+    rgb = [chroma, secondary, 0];
+  } else if (huePrime < 2) {
+    rgb = [secondary, chroma, 0];
+  } else if (huePrime < 3) {
+    rgb = [0, chroma, secondary];
+  } else if (huePrime < 4) {
+    rgb = [0, secondary, chroma];
+  } else if (huePrime < 5) {
+    rgb = [secondary, 0, chroma];
+  } else {
+    rgb = [chroma, 0, secondary];
+  }
+
+  const [red, green, blue] = rgb.map((channel) => Math.round((channel + match) * 255));
+  return (red << 16) | (green << 8) | blue;
+}
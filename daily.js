@@ -0,0 +1,133 @@
+import { formatDuration } from "./stats.js";
+
+export const DAILY_STORAGE_KEY = "twisty-torus:daily";
+const DAILY_VERSION = 1;
+const MAX_STORED_DAYS = 400;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Every daily is played on the same board, so the same seed gives everyone the same
+// scramble: plain torus, default colors, no diagonal moves.
+export const DAILY_GRID = { uCells: 8, vCells: 4 };
+
+// The calendar date in the player's time zone, e.g. "2026-10-19".
+export function dailyDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function dailySeed(dateKey) {
+  return `daily-${dateKey}`;
+}
+
+// Result summary to paste elsewhere: date, time, moves, hints and streak, but not the
+// scramble or the moves.
+export function formatDailyShare(dateKey, result, streak) {
+  const hints = result.hintsUsed === 0 ? "no hints" : result.hintsUsed === 1 ? "1 hint" : `${result.hintsUsed} hints`;
+  const lines = [
+    `Twisty Torus daily ${dateKey}`,
+    `Solved in ${formatDuration(result.timeMs)} · ${result.moves} moves · ${hints}`,
+  ];
+  if (streak > 0) {
+    lines.push(streak === 1 ? "Streak: 1 day" : `Streak: ${streak} days`);
+  }
+  return lines.join("\n");
+}
+
+// Per-day daily results kept in localStorage ({ "2026-10-19": { timeMs, moves, hintsUsed } }).
+export class DailyRecords {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage || null;
+    this.results = this.load();
+  }
+
+  load() {
+    if (!this.storage) {
+      return {};
+    }
+
+    try {
+      const parsed = JSON.parse(this.storage.getItem(DAILY_STORAGE_KEY) || "null");
+      if (!parsed || parsed.version !== DAILY_VERSION || !parsed.results || typeof parsed.results !== "object") {
+        return {};
+      }
+      const entries = Object.entries(parsed.results);
+      return Object.fromEntries(
+        entries.filter(([dateKey, result]) => DATE_KEY_PATTERN.test(dateKey) && isValidResult(result))
+      );
+    } catch (error) {
+      return {};
+    }
+  }
+
+  save() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(DAILY_STORAGE_KEY, JSON.stringify({ version: DAILY_VERSION, results: this.results }));
+    } catch (error) {
+      // Storage full or disabled: keep the in-memory results for this session.
+    }
+  }
+
+  resultFor(dateKey) {
+    return this.results[dateKey] || null;
+  }
+
+  // Only the first solve of each daily counts. Returns whether `result` was recorded.
+  record(dateKey, result) {
+    if (this.results[dateKey]) {
+      return false;
+    }
+
+    this.results[dateKey] = {
+      timeMs: Math.round(result.timeMs),
+      moves: result.moves,
+      hintsUsed: result.hintsUsed,
+    };
+    const dateKeys = Object.keys(this.results).sort();
+    for (const oldKey of dateKeys.slice(0, Math.max(0, dateKeys.length - MAX_STORED_DAYS))) {
+      delete this.results[oldKey];
+    }
+    this.save();
+    return true;
+  }
+
+  // Days in a row with a solved daily, up to today, or up to yesterday while today's
+  // daily is still open.
+  streak(todayKey) {
+    let dateKey = this.results[todayKey] ? todayKey : previousDateKey(todayKey);
+    let streak = 0;
+    while (this.results[dateKey]) {
+      streak += 1;
+      dateKey = previousDateKey(dateKey);
+    }
+    return streak;
+  }
+
+  // The latest `count` results, newest first, as { dateKey, timeMs, moves, hintsUsed }.
+  recent(count) {
+    return Object.keys(this.results)
+      .sort()
+      .reverse()
+      .slice(0, count)
+      .map((dateKey) => ({ dateKey, ...this.results[dateKey] }));
+  }
+}
+
+function previousDateKey(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return dailyDateKey(new Date(year, month - 1, day - 1));
+}
+
+function isValidResult(result) {
+  return (
+    result &&
+    Number.isFinite(result.timeMs) &&
+    Number.isInteger(result.moves) &&
+    Number.isInteger(result.hintsUsed) &&
+    result.hintsUsed >= 0
+  );
+}
@@ -0,0 +1,214 @@
+// Markup for one game: the controls, stage, panels and overlays createGame() looks up
+// by id. The page and every <twisty-torus> element put a copy inside an `.app-shell`.
+export const GAME_MARKUP = `
+<header class="topbar">
+  <h1>Twisty Torus</h1>
+  <form id="move-form" class="move-form" autocomplete="off">
+    <input
+      id="move-input"
+      type="text"
+      spellcheck="false"
+      placeholder="Moves, e.g. M3 L5' M0+2"
+      aria-label="Move sequence"
+    />
+    <button type="submit">Run</button>
+    <button id="copy-moves-btn" type="button" title="Copy the current move history as notation">Copy moves</button>
+  </form>
+  <div class="topbar-actions">
+    <button id="seed-btn" class="seed-chip" type="button" title="Copy a link to this scramble" hidden></button>
+    <button id="scramble-btn" type="button">Scramble</button>
+    <button id="daily-btn" type="button" title="Today's scramble, the same for everyone">Daily</button>
+    <button id="reset-btn" type="button">Reset</button>
+    <button id="undo-btn" type="button" title="Undo (Ctrl+Z)" disabled>Undo</button>
+    <button id="redo-btn" type="button" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+    <button id="hint-btn" type="button" title="Show the next move of a solution">Hint</button>
+    <button id="solve-btn" type="button" title="Play back a full solution">Solve</button>
+    <button id="net-btn" type="button" aria-controls="net-panel" aria-pressed="false">Net</button>
+    <button id="challenge-btn" type="button" aria-controls="challenge-panel" aria-expanded="false">Challenges</button>
+    <button id="race-btn" type="button" aria-controls="race-panel" aria-expanded="false">Race</button>
+    <button id="analysis-btn" type="button" aria-controls="analysis-panel" aria-expanded="false">Analysis</button>
+    <button id="stats-btn" type="button" aria-controls="stats-panel" aria-expanded="false">Stats</button>
+    <button id="settings-btn" type="button" aria-controls="settings-panel" aria-expanded="false">Settings</button>
+  </div>
+</header>
+<main class="stage-wrap">
+  <canvas id="game-canvas" tabindex="0" aria-label="Torus puzzle" aria-describedby="keyboard-help"></canvas>
+  <p id="keyboard-help" class="visually-hidden">
+    W, A, S and D move the selected region. Arrow keys turn its rings; hold Shift for a wider turn. Q and E orbit
+    the torus left and right, R and F up and down. Escape clears the selection. Control+Z undoes a move.
+  </p>
+  <div id="live-region" class="visually-hidden" role="status" aria-live="polite"></div>
+  <section id="goal-panel" class="goal-panel" aria-label="Challenge goal" hidden>
+    <div class="goal-caption">
+      <strong id="goal-title"></strong>
+      <span id="goal-par"></span>
+    </div>
+    <canvas id="goal-canvas"></canvas>
+    <button id="leave-challenge-btn" class="panel-button" type="button">Leave challenge</button>
+  </section>
+  <section id="net-panel" class="net-panel" aria-label="Flat net of the torus" hidden>
+    <canvas id="net-canvas"></canvas>
+  </section>
+  <section id="settings-panel" class="panel settings-panel" aria-label="Settings" hidden>
+    <h2>Settings</h2>
+    <label class="setting">
+      <span>Grid size</span>
+      <select id="grid-size-select">
+        <option value="4x2">4 × 2</option>
+        <option value="8x4">8 × 4</option>
+        <option value="12x6">12 × 6</option>
+        <option value="16x8">16 × 8</option>
+        <option value="24x12">24 × 12</option>
+      </select>
+    </label>
+    <label class="setting">
+      <span>Topology</span>
+      <select id="topology-select"></select>
+    </label>
+    <label class="setting">
+      <span>Diagonal moves</span>
+      <input id="diagonals-input" type="checkbox" />
+    </label>
+    <label class="setting">
+      <span>Colors</span>
+      <select id="color-scheme-select"></select>
+    </label>
+    <label class="setting">
+      <span>Palette</span>
+      <select id="palette-select"></select>
+    </label>
+    <label class="setting">
+      <span>Sticker marks</span>
+      <select id="sticker-marks-select"></select>
+    </label>
+    <label class="setting">
+      <span>Picture</span>
+      <select id="picture-select"></select>
+    </label>
+    <input id="picture-file-input" type="file" accept="image/*" hidden />
+    <label class="setting">
+      <span>Turn width</span>
+      <select id="turn-width-select">
+        <option value="1" selected>1 ring</option>
+        <option value="2">2 rings</option>
+        <option value="3">3 rings</option>
+        <option value="4">4 rings</option>
+      </select>
+    </label>
+    <label class="setting">
+      <span>Animation</span>
+      <select id="animation-speed-select">
+        <option value="slow">Slow</option>
+        <option value="normal" selected>Normal</option>
+        <option value="fast">Fast</option>
+        <option value="instant">Instant</option>
+      </select>
+    </label>
+    <label class="setting">
+      <span>Animate scramble</span>
+      <input id="animate-scramble-input" type="checkbox" />
+    </label>
+  </section>
+  <section id="challenge-panel" class="panel challenge-panel" aria-label="Challenges" hidden>
+    <h2>Challenges</h2>
+    <label class="setting">
+      <span>Pattern</span>
+      <select id="pattern-select"></select>
+    </label>
+    <p id="pattern-description" class="pattern-description"></p>
+    <div class="panel-actions">
+      <button id="challenge-start-btn" class="panel-button" type="button">Start challenge</button>
+    </div>
+  </section>
+  <section id="race-panel" class="panel race-panel" aria-label="Race" hidden>
+    <h2>Race</h2>
+    <label class="setting">
+      <span>Relay</span>
+      <input id="race-server-input" type="text" spellcheck="false" />
+    </label>
+    <label class="setting">
+      <span>Room</span>
+      <input id="race-room-input" type="text" maxlength="40" spellcheck="false" value="lobby" />
+    </label>
+    <label class="setting">
+      <span>Name</span>
+      <input id="race-name-input" type="text" maxlength="24" placeholder="Player" />
+    </label>
+    <p id="race-status" class="race-status"></p>
+    <ol id="race-players" class="race-players"></ol>
+    <div class="panel-actions">
+      <button id="race-join-btn" class="panel-button" type="button">Join</button>
+      <button id="race-start-btn" class="panel-button" type="button" disabled>Start race</button>
+    </div>
+  </section>
+  <section id="analysis-panel" class="panel analysis-panel" aria-label="Permutation analysis" hidden>
+    <h2>Permutation</h2>
+    <dl id="analysis-summary" class="stats-summary"></dl>
+    <h3>Cycles</h3>
+    <ol id="cycle-list" class="cycle-list"></ol>
+    <h3>Order of a move sequence</h3>
+    <form id="order-form" class="order-form" autocomplete="off">
+      <input id="order-input" type="text" spellcheck="false" placeholder="e.g. M0 L0" aria-label="Move sequence" />
+      <button class="panel-button" type="submit">Order</button>
+    </form>
+    <p id="order-result" class="analysis-note"></p>
+  </section>
+  <section id="stats-panel" class="panel stats-panel" aria-label="Statistics" hidden>
+    <h2>Statistics</h2>
+    <dl id="stats-summary" class="stats-summary"></dl>
+    <h3>History</h3>
+    <ol id="stats-history" class="stats-history"></ol>
+    <h3>Daily</h3>
+    <p id="daily-summary" class="daily-summary"></p>
+    <ol id="daily-history" class="stats-history"></ol>
+    <div class="panel-actions">
+      <button id="copy-daily-btn" class="panel-button" type="button" disabled>Copy today's result</button>
+    </div>
+    <div class="panel-actions">
+      <button id="watch-replay-btn" class="panel-button" type="button" disabled>Watch last solve</button>
+      <button id="import-replay-btn" class="panel-button" type="button">Import replay…</button>
+      <button id="clear-stats-btn" class="panel-button" type="button">Clear stats</button>
+    </div>
+    <input id="replay-file-input" type="file" accept=".json,application/json" hidden />
+  </section>
+  <div id="replay-bar" class="replay-bar" role="group" aria-label="Replay" hidden>
+    <button id="replay-play-btn" type="button">Play</button>
+    <input id="replay-scrubber" type="range" min="0" max="0" step="1" value="0" aria-label="Replay position" />
+    <span id="replay-position-text" class="replay-position">0 / 0</span>
+    <select id="replay-speed-select" aria-label="Replay speed">
+      <option value="0.5">0.5×</option>
+      <option value="1" selected>1×</option>
+      <option value="2">2×</option>
+      <option value="4">4×</option>
+      <option value="8">8×</option>
+    </select>
+    <button id="replay-export-btn" type="button">Export</button>
+    <button id="replay-close-btn" type="button">Close</button>
+  </div>
+  <div class="hud" aria-live="off">
+    <span id="timer-text">0:00.00</span>
+    <span id="move-count-text">0 moves</span>
+  </div>
+  <div id="resume-overlay" class="resume-overlay" hidden>
+    <div class="resume-card" role="dialog" aria-modal="true" aria-labelledby="resume-title" aria-describedby="resume-detail">
+      <strong id="resume-title">Resume your unfinished game?</strong>
+      <span id="resume-detail"></span>
+      <div class="resume-actions">
+        <button id="resume-btn" class="panel-button" type="button">Resume</button>
+        <button id="new-game-btn" class="panel-button" type="button">New game</button>
+      </div>
+    </div>
+  </div>
+  <div id="solved-overlay" class="solved-overlay" role="status" hidden>
+    <div class="solved-card">
+      <strong id="solved-title">Solved!</strong>
+      <span id="solved-detail"></span>
+    </div>
+  </div>
+</main>
+<footer class="statusbar">
+  <div id="status-text">
+    Loading controls...
+  </div>
+</footer>
+`;
@@ -0,0 +1,3994 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import {
+  DEFAULT_U_CELLS,
+  DEFAULT_V_CELLS,
+  TorusPuzzle,
+  axisStep,
+  copyMove,
+  formatGridSize,
+  moveWidth,
+  parseGridSize,
+} from "./puzzle.js";
+import { modulo } from "./math.js";
+import { MoveHistory } from "./history.js";
+import { MoveQueue, easeInOutCubic } from "./move-queue.js";
+import { formatMove, formatMoves, parseMoves } from "./notation.js";
+import { createSeededRandom, generateSeed, normalizeSeed } from "./random.js";
+import { solveSnapshot, snapshotFromPuzzle } from "./solver.js";
+import { SolveStats, formatDuration } from "./stats.js";
+import { DAILY_GRID, DailyRecords, dailyDateKey, dailySeed, formatDailyShare } from "./daily.js";
+import { GameSave, parseStickerCells } from "./save-game.js";
+import { TwistyTorusApi } from "./api.js";
+import { NetView } from "./net-view.js";
+import { PATTERNS, getPattern, patternMatches, preparePattern } from "./patterns.js";
+import { RaceClient, createPlayerId, defaultRaceServerUrl } from "./race.js";
+import { analyzePermutation, formatCycleType, sequenceOrder } from "./permutation.js";
+import { createReplay, parseReplay, replayPositionsAt, replayTimeAt, serializeReplay } from "./replay.js";
+import { PICTURE_PRESETS, getPicturePreset, renderPicturePreset } from "./picture-presets.js";
+import {
+  COLOR_SCHEMES,
+  DEFAULT_COLOR_SCHEME_ID,
+  DEFAULT_PALETTE_ID,
+  PALETTES,
+  colorHexForIndex,
+  colorName,
+  getColorScheme,
+  getPalette,
+} from "./color-schemes.js";
+import { DEFAULT_STICKER_MARK_ID, STICKER_MARKS, drawStickerMark, getStickerMark } from "./sticker-marks.js";
+import { DisplayPreferences } from "./preferences.js";
+import { DEFAULT_TOPOLOGY_ID, TOPOLOGIES, getTopology, seamRow, seamShift, topologySupportsGrid } from "./topology.js";
+
+const MAJOR_RADIUS = 20;
+const MINOR_RADIUS = 10;
+const FIGURE_EIGHT_SCALE = 9;
+const SURFACE_NORMAL_EPSILON = 1e-4;
+const SURFACE_SUBDIV_U = 80;
+const SURFACE_SUBDIV_V = 40;
+const MIN_CELL_SUBDIV = 2;
+const DRAG_DEADZONE_PX = 8;
+const MIN_STEP_PROJECTION_PX = 4;
+const TRACKPAD_ORBIT_SENSITIVITY = 0.0026;
+const TOUCH_ORBIT_SENSITIVITY = 0.01;
+const KEY_ORBIT_ANGLE = Math.PI / 16;
+const MARK_TEXTURE_SIZE = 128;
+// Keyboard cursor (cell step in iu, iv) and camera orbit (angle steps) by key.
+const CURSOR_KEYS = { w: [0, 1], s: [0, -1], d: [1, 0], a: [-1, 0] };
+const ORBIT_KEYS = { q: [1, 0], e: [-1, 0], r: [0, 1], f: [0, -1] };
+const SCRAMBLE_MOVE_COUNT = 100;
+const VIEW_OFFSET_Y_PX = 28;
+const BASE_FOV = 45;
+const MOBILE_MAX_DIM_PX = 1024;
+const MOBILE_PORTRAIT_DISTANCE_NEAR = 118;
+const MOBILE_PORTRAIT_DISTANCE_FAR = 150;
+const MOBILE_LANDSCAPE_DISTANCE_NEAR = 96;
+const MOBILE_LANDSCAPE_DISTANCE_FAR = 66;
+const MOBILE_PORTRAIT_ASPECT_RANGE = 0.55;
+const MOBILE_LANDSCAPE_ASPECT_RANGE = 1.4;
+const MOBILE_MIN_DISTANCE = 46;
+const MOBILE_MAX_DISTANCE = 160;
+const MOBILE_VIEW_OFFSET_Y_PX = 10;
+const BOUNDARY_ARC_SEGMENTS = 18;
+const BOUNDARY_ARC_LIFT = 0.02;
+const BOUNDARY_ARC_COLOR = 0x000000;
+const SELECT_OUTLINE_SEGMENTS = 48;
+const SELECT_OUTLINE_LIFT = 0.14;
+const SELECT_OUTLINE_COLOR = 0xffffff;
+const SEAM_SEGMENTS = 96;
+const SEAM_LIFT = 0.08;
+const SEAM_COLOR = 0xd9480f;
+const HINT_COLOR = 0xffffff;
+const HINT_TUBE_RADIUS = 0.32;
+const HINT_LIFT = 0.45;
+const HINT_ARROW_COUNT = 6;
+// Glow added to the stickers of the cycle hovered in the analysis panel.
+const CYCLE_HIGHLIGHT_EMISSIVE = 0x5c5c5c;
+const MAX_LISTED_CYCLES = 60;
+const MAX_LISTED_CYCLE_CELLS = 12;
+const MOVE_DURATION_MS = 180;
+const ANIMATION_SPEED_FACTORS = { slow: 1.8, normal: 1, fast: 0.5, instant: 0 };
+const SCRAMBLE_SPEED_FACTOR = 0.25;
+const SOLVE_PLAYBACK_SPEED_FACTOR = 0.4;
+const MAX_FRAME_STEP_MS = 100;
+const ADVANCE_TIME_STEP_MS = 1000 / 60;
+const STATUS_MESSAGE_MS = 4000;
+const SOLVED_OVERLAY_MS = 3500;
+const SOLVED_SPIN_MS = 1400;
+
+// Builds one independent game inside `root` (a document, element or shadow root holding
+// the GAME_MARKUP elements; every one of them must be there). Options:
+// - `params`: URLSearchParams-style settings (grid, topology, diagonals, scheme, seed).
+// - `palette`: palette id that overrides the saved display preference.
+// - `syncUrl`: mirror settings and the scramble seed into the page URL.
+// - `storage`: where stats, the saved game and preferences live (null keeps nothing).
+// - `keyTarget`: element or window whose keyboard shortcuts drive this game.
+// Returns the game's API and hooks; `dispose()` stops it and frees its GPU resources.
+export function createGame(
+  root,
+  {
+    params = new URLSearchParams(),
+    palette: paletteId = null,
+    syncUrl = false,
+    storage = globalThis.localStorage,
+    keyTarget = globalThis.window,
+  } = {}
+) {
+  const canvas = root.querySelector("#game-canvas");
+  const stageWrap = root.querySelector(".stage-wrap");
+  const statusText = root.querySelector("#status-text");
+  const liveRegion = root.querySelector("#live-region");
+  const scrambleBtn = root.querySelector("#scramble-btn");
+  const dailyBtn = root.querySelector("#daily-btn");
+  const resetBtn = root.querySelector("#reset-btn");
+  const undoBtn = root.querySelector("#undo-btn");
+  const redoBtn = root.querySelector("#redo-btn");
+  const moveForm = root.querySelector("#move-form");
+  const moveInput = root.querySelector("#move-input");
+  const copyMovesBtn = root.querySelector("#copy-moves-btn");
+  const solvedOverlay = root.querySelector("#solved-overlay");
+  const solvedTitle = root.querySelector("#solved-title");
+  const solvedDetail = root.querySelector("#solved-detail");
+  const seedBtn = root.querySelector("#seed-btn");
+  const settingsBtn = root.querySelector("#settings-btn");
+  const settingsPanel = root.querySelector("#settings-panel");
+  const gridSizeSelect = root.querySelector("#grid-size-select");
+  const topologySelect = root.querySelector("#topology-select");
+  const turnWidthSelect = root.querySelector("#turn-width-select");
+  const diagonalsInput = root.querySelector("#diagonals-input");
+  const colorSchemeSelect = root.querySelector("#color-scheme-select");
+  const paletteSelect = root.querySelector("#palette-select");
+  const stickerMarksSelect = root.querySelector("#sticker-marks-select");
+  const pictureSelect = root.querySelector("#picture-select");
+  const pictureFileInput = root.querySelector("#picture-file-input");
+  const hintBtn = root.querySelector("#hint-btn");
+  const solveBtn = root.querySelector("#solve-btn");
+  const timerText = root.querySelector("#timer-text");
+  const moveCountText = root.querySelector("#move-count-text");
+  const challengeBtn = root.querySelector("#challenge-btn");
+  const challengePanel = root.querySelector("#challenge-panel");
+  const patternSelect = root.querySelector("#pattern-select");
+  const patternDescription = root.querySelector("#pattern-description");
+  const challengeStartBtn = root.querySelector("#challenge-start-btn");
+  const goalPanel = root.querySelector("#goal-panel");
+  const goalTitle = root.querySelector("#goal-title");
+  const goalPar = root.querySelector("#goal-par");
+  const goalCanvas = root.querySelector("#goal-canvas");
+  const leaveChallengeBtn = root.querySelector("#leave-challenge-btn");
+  const analysisBtn = root.querySelector("#analysis-btn");
+  const analysisPanel = root.querySelector("#analysis-panel");
+  const analysisSummary = root.querySelector("#analysis-summary");
+  const cycleList = root.querySelector("#cycle-list");
+  const orderForm = root.querySelector("#order-form");
+  const orderInput = root.querySelector("#order-input");
+  const orderResult = root.querySelector("#order-result");
+  const raceBtn = root.querySelector("#race-btn");
+  const racePanel = root.querySelector("#race-panel");
+  const raceServerInput = root.querySelector("#race-server-input");
+  const raceRoomInput = root.querySelector("#race-room-input");
+  const raceNameInput = root.querySelector("#race-name-input");
+  const raceStatus = root.querySelector("#race-status");
+  const racePlayers = root.querySelector("#race-players");
+  const raceJoinBtn = root.querySelector("#race-join-btn");
+  const raceStartBtn = root.querySelector("#race-start-btn");
+  const statsBtn = root.querySelector("#stats-btn");
+  const statsPanel = root.querySelector("#stats-panel");
+  const statsSummary = root.querySelector("#stats-summary");
+  const statsHistory = root.querySelector("#stats-history");
+  const clearStatsBtn = root.querySelector("#clear-stats-btn");
+  const dailySummary = root.querySelector("#daily-summary");
+  const dailyHistory = root.querySelector("#daily-history");
+  const copyDailyBtn = root.querySelector("#copy-daily-btn");
+  const animationSpeedSelect = root.querySelector("#animation-speed-select");
+  const animateScrambleInput = root.querySelector("#animate-scramble-input");
+  const watchReplayBtn = root.querySelector("#watch-replay-btn");
+  const importReplayBtn = root.querySelector("#import-replay-btn");
+  const replayFileInput = root.querySelector("#replay-file-input");
+  const replayBar = root.querySelector("#replay-bar");
+  const replayPlayBtn = root.querySelector("#replay-play-btn");
+  const replayScrubber = root.querySelector("#replay-scrubber");
+  const replayPositionText = root.querySelector("#replay-position-text");
+  const replaySpeedSelect = root.querySelector("#replay-speed-select");
+  const replayExportBtn = root.querySelector("#replay-export-btn");
+  const replayCloseBtn = root.querySelector("#replay-close-btn");
+  const netBtn = root.querySelector("#net-btn");
+  const netPanel = root.querySelector("#net-panel");
+  const netCanvas = root.querySelector("#net-canvas");
+  const resumeOverlay = root.querySelector("#resume-overlay");
+  const resumeDetail = root.querySelector("#resume-detail");
+  const resumeBtn = root.querySelector("#resume-btn");
+  const newGameBtn = root.querySelector("#new-game-btn");
+
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setClearColor(0xebe5d2, 1);
+
+  const scene = new THREE.Scene();
+
+  const camera = new THREE.PerspectiveCamera(BASE_FOV, 1, 0.1, 500);
+  camera.up.set(0, 0, 1);
+  camera.position.set(56, 38, 28);
+
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.target.set(0, 0, 0);
+  controls.enableDamping = true;
+  controls.enablePan = false;
+  controls.enableZoom = false;
+  controls.mouseButtons.LEFT = THREE.MOUSE.PAN;
+  controls.mouseButtons.RIGHT = THREE.MOUSE.ROTATE;
+  controls.minDistance = 35;
+  controls.maxDistance = 140;
+  controls.update();
+  const BASE_CAMERA_DISTANCE = camera.position.distanceTo(controls.target);
+
+  const hemiLight = new THREE.HemisphereLight(0xfff6db, 0x7f8ca5, 0.85);
+  scene.add(hemiLight);
+
+  const keyLight = new THREE.DirectionalLight(0xffffff, 0.95);
+  keyLight.position.set(48, 16, 62);
+  scene.add(keyLight);
+
+  const fillLight = new THREE.DirectionalLight(0xb9d6ff, 0.35);
+  fillLight.position.set(-42, -48, 22);
+  scene.add(fillLight);
+
+  const torusGroup = new THREE.Group();
+  scene.add(torusGroup);
+  const boundaryArcGroup = new THREE.Group();
+  const selectedOutlineGroup = new THREE.Group();
+  const selectedOutlineLines = [];
+  const hintGroup = new THREE.Group();
+  const seamLine = createSeamLine();
+  torusGroup.add(boundaryArcGroup);
+  torusGroup.add(hintGroup);
+  torusGroup.add(seamLine.line);
+
+  const surfaceSample = { x: 0, y: 0, z: 0, nx: 0, ny: 0, nz: 0 };
+  const raycaster = new THREE.Raycaster();
+  const pointerNdc = new THREE.Vector2();
+
+  let colorScheme = getColorScheme(DEFAULT_COLOR_SCHEME_ID);
+  let palette = getPalette(DEFAULT_PALETTE_ID);
+  let stickerMarkId = DEFAULT_STICKER_MARK_ID;
+  // One material per color index for the current mark style; rebuilt when the style changes.
+  const stickerMarkMaterials = new Map();
+  const puzzle = new TorusPuzzle({
+    uCells: DEFAULT_U_CELLS,
+    vCells: DEFAULT_V_CELLS,
+    colorIndexForCell: colorScheme.colorIndexForCell,
+  });
+  const grid = computeGridGeometry(puzzle.uCells, puzzle.vCells);
+  const stickerViews = new Map();
+  const stickerMeshes = [];
+  const moveHistory = new MoveHistory();
+  const moveQueue = new MoveQueue({
+    onStart: startQueuedMove,
+    onProgress: renderQueuedMove,
+    onComplete: completeQueuedMove,
+    onIdle: (lastItem) => {
+      refreshSolvedState(lastItem.celebrate);
+      saveGame();
+    },
+  });
+  const solveStats = new SolveStats(storage);
+  const dailyRecords = new DailyRecords(storage);
+  const gameSave = new GameSave(storage);
+  const displayPreferences = new DisplayPreferences(storage);
+  const api = new TwistyTorusApi({
+    puzzle,
+    applyMoves: applyApiMoves,
+    getState: captureApiState,
+    setState: restoreApiState,
+    scramble: (seed) => {
+      const nextSeed = normalizeSeed(seed) || generateSeed();
+      scramblePuzzle(nextSeed, false);
+      return nextSeed;
+    },
+    reset: resetPuzzle,
+    startChallenge,
+  });
+  const netView = new NetView(netCanvas, {
+    onSelect: ({ iu, iv }) => toggleSelectedSticker(puzzle.stickerAt(iu, iv).id),
+    onDragStart: startNetDrag,
+    onDragMove: ({ offsetCells }) => updateNetDrag(offsetCells),
+    onDragEnd: ({ offsetCells }) => finishNetDrag(offsetCells),
+    onDragCancel: () => cancelRingDrag(true),
+  });
+  // Read-only net of the challenge goal.
+  const goalView = new NetView(goalCanvas);
+
+  let selectedStickerId = null;
+  let statusMessage = null;
+  let statusMessageTimer = null;
+  let puzzleSolved = true;
+  let solvedOverlayTimer = null;
+  let solvedSpinStartMs = null;
+  let scrambleSeed = null;
+  let pictureTexture = null;
+  let pictureSource = null;
+  let puzzleRevision = 0;
+  let solverWorker = null;
+  let solverRequestId = 0;
+  const pendingSolverRequests = new Map();
+  let cachedSolution = null;
+  let solutionPlayback = null;
+  let solveSession = createSolveSession(false, null);
+  let animationSpeed = "normal";
+  let animateScramble = false;
+  let turnWidth = 1;
+  let lastFrameMs = null;
+  let lastReplay = null;
+  let replayState = null;
+  // The game as it was before the replay opened (see `captureGame()`); `Close` puts it back.
+  let gameBeforeReplay = null;
+  // An uploaded picture cannot be rebuilt from `gameBeforeReplay.picture` ("file"), so a
+  // replay that switches pictures keeps its texture here instead of disposing it.
+  let filePictureBeforeReplay = null;
+  let pendingResume = null;
+  let netVisible = false;
+  // The pattern being played ({ pattern, goalBoard, matched }) or null outside challenge mode.
+  let challenge = null;
+  // Membership of a race room ({ client, snapshot, run, announcedSeed }) or null. `run` is
+  // the race scramble on this board ({ seed, session, solved }); replacing the board, which
+  // starts a new solve session, drops out of it.
+  let race = null;
+  const racePlayerId = createPlayerId();
+  let animationFrameId = null;
+  let stageResizeObserver = null;
+  // Listeners on the window and document, removed together by dispose().
+  const globalListeners = new AbortController();
+  const interactionState = {
+    mode: "idle",
+    activePointers: new Map(),
+    ringDrag: null,
+    netDrag: null,
+    ignoreNextClick: false,
+    orbitPrevCentroid: null,
+    orbitLastInputMs: 0,
+    mouseOrbitActive: false,
+  };
+
+  init();
+
+  function init() {
+    const preferences = displayPreferences.load();
+    palette = getPalette(paletteId) || getPalette(preferences.palette);
+    stickerMarkId = preferences.marks;
+
+    const urlScheme = getColorScheme(params.get("scheme"));
+    if (urlScheme) {
+      colorScheme = urlScheme;
+      puzzle.setColorIndexForCell(colorScheme.colorIndexForCell);
+    }
+
+    const urlGrid = parseGridSize(params.get("grid") || "");
+    if (urlGrid) {
+      puzzle.resize(urlGrid.uCells, urlGrid.vCells);
+      Object.assign(grid, computeGridGeometry(urlGrid.uCells, urlGrid.vCells));
+    }
+
+    const urlTopology = getTopology(params.get("topology"));
+    if (urlTopology && topologySupportsGrid(urlTopology, puzzle.vCells)) {
+      puzzle.setTopology(urlTopology.id);
+    }
+    if (params.get("diagonals") === "1" && puzzle.topology.id === DEFAULT_TOPOLOGY_ID) {
+      puzzle.setDiagonals(true);
+    }
+
+    buildBoard();
+    updateSeamLine();
+    netCanvas.style.aspectRatio = `${puzzle.uCells} / ${puzzle.vCells}`;
+    subscribeToPuzzle();
+    buildSelectedOutline();
+    resizeRenderer();
+    installHandlers();
+    populateColorSchemeSelect();
+    populatePaletteSelect();
+    populateStickerMarksSelect();
+    populatePatternSelect();
+    populatePictureSelect();
+    refreshGridSizeSelect();
+    populateTopologySelect();
+    refreshDiagonalsInput();
+    refreshSolverButtons();
+    turnWidthSelect.value = String(turnWidth);
+    animationSpeedSelect.value = animationSpeed;
+    animateScrambleInput.checked = animateScramble;
+    refreshHistoryButtons();
+    refreshReplayButtons();
+    raceServerInput.value = defaultRaceServerUrl();
+    refreshRacePanel();
+    refreshStatusText();
+    const saved = gameSave.load();
+    pendingResume = saved.game;
+    const urlSeed = normalizeSeed(params.get("seed"));
+    if (urlSeed) {
+      scramblePuzzle(urlSeed);
+    }
+    if (pendingResume) {
+      showResumePrompt(pendingResume);
+    } else if (saved.discarded) {
+      showStatusMessage("The saved game could not be restored and was discarded.");
+    }
+    // An embedded game can change size without the window resizing, so watch the stage.
+    if (typeof ResizeObserver === "undefined") {
+      window.addEventListener("resize", onStageResize, { signal: globalListeners.signal });
+    } else {
+      stageResizeObserver = new ResizeObserver(onStageResize);
+      stageResizeObserver.observe(stageWrap);
+    }
+    animationFrameId = requestAnimationFrame(frame);
+  }
+
+  function onStageResize() {
+    resizeRenderer();
+    refreshStatusText();
+  }
+
+  function computeGridGeometry(uCells, vCells) {
+    return {
+      du: (Math.PI * 2) / uCells,
+      dv: (Math.PI * 2) / vCells,
+      subdivU: Math.max(MIN_CELL_SUBDIV, Math.ceil(SURFACE_SUBDIV_U / uCells)),
+      subdivV: Math.max(MIN_CELL_SUBDIV, Math.ceil(SURFACE_SUBDIV_V / vCells)),
+    };
+  }
+
+  function buildBoard() {
+    for (const sticker of puzzle.stickers) {
+      const geometry = makeCellGeometry();
+      writeStickerPictureUvs(sticker, geometry);
+      const material = new THREE.MeshStandardMaterial({
+        color: pictureTexture ? 0xffffff : stickerColorHex(sticker),
+        map: pictureTexture,
+        roughness: 0.46,
+        metalness: 0.05,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1,
+        side: THREE.DoubleSide,
+      });
+
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.userData.stickerId = sticker.id;
+
+      stickerViews.set(sticker.id, {
+        mesh,
+        markMesh: null,
+        geometry,
+        positions: geometry.attributes.position.array,
+        normals: geometry.attributes.normal.array,
+        boundaryArcs: createStickerBoundaryArcs(),
+      });
+
+      applyStickerMark(sticker);
+      setStickerParametricPosition(sticker, 0, 0);
+      stickerMeshes.push(mesh);
+      torusGroup.add(mesh);
+    }
+  }
+
+  function stickerColorHex(sticker) {
+    return colorHexForIndex(colorScheme, sticker.colorIndex, puzzle.uCells, puzzle.vCells, palette.colors);
+  }
+
+  function applyStickerMaterial(sticker) {
+    const material = stickerViews.get(sticker.id).mesh.material;
+    material.color.setHex(pictureTexture ? 0xffffff : stickerColorHex(sticker));
+    if (material.map !== pictureTexture) {
+      material.map = pictureTexture;
+      material.needsUpdate = true;
+    }
+    applyStickerMark(sticker);
+  }
+
+  // Marks are a second mesh on the sticker's own geometry, so they follow every drag and
+  // animation for free. Picture stickers carry no mark.
+  function applyStickerMark(sticker) {
+    const view = stickerViews.get(sticker.id);
+    if (stickerMarkId === "none" || pictureTexture) {
+      if (view.markMesh) {
+        view.markMesh.visible = false;
+      }
+      return;
+    }
+
+    const material = stickerMarkMaterial(sticker.colorIndex);
+    if (!view.markMesh) {
+      view.markMesh = new THREE.Mesh(view.geometry, material);
+      view.markMesh.renderOrder = 1;
+      torusGroup.add(view.markMesh);
+    }
+    view.markMesh.material = material;
+    view.markMesh.visible = true;
+  }
+
+  function stickerMarkMaterial(colorIndex) {
+    let material = stickerMarkMaterials.get(colorIndex);
+    if (material) {
+      return material;
+    }
+
+    const markCanvas = document.createElement("canvas");
+    markCanvas.width = MARK_TEXTURE_SIZE;
+    markCanvas.height = MARK_TEXTURE_SIZE;
+    drawStickerMark(markCanvas.getContext("2d"), stickerMarkId, colorIndex, 0, 0, MARK_TEXTURE_SIZE, MARK_TEXTURE_SIZE);
+    const texture = new THREE.CanvasTexture(markCanvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    // Read the sticker-local uv1 channel, not the picture-mode uvs.
+    texture.channel = 1;
+    material = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthWrite: false,
+      toneMapped: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+      side: THREE.DoubleSide,
+    });
+    stickerMarkMaterials.set(colorIndex, material);
+    return material;
+  }
+
+  function disposeStickerMarkMaterials() {
+    for (const material of stickerMarkMaterials.values()) {
+      material.map.dispose();
+      material.dispose();
+    }
+    stickerMarkMaterials.clear();
+  }
+
+  function disposeBoard() {
+    for (const view of stickerViews.values()) {
+      torusGroup.remove(view.mesh);
+      if (view.markMesh) {
+        torusGroup.remove(view.markMesh);
+      }
+      view.geometry.dispose();
+      view.mesh.material.dispose();
+      for (const arc of view.boundaryArcs) {
+        boundaryArcGroup.remove(arc.line);
+        arc.geometry.dispose();
+        arc.line.material.dispose();
+      }
+    }
+    stickerViews.clear();
+    stickerMeshes.length = 0;
+  }
+
+  function subscribeToPuzzle() {
+    for (const type of ["move", "reset", "restore", "recolor", "rebuild"]) {
+      puzzle.on(type, () => {
+        puzzleRevision += 1;
+        clearHint();
+        refreshAnalysisPanel();
+      });
+    }
+
+    puzzle.on("move", ({ stickers }) => {
+      for (const sticker of stickers) {
+        setStickerParametricPosition(sticker, 0, 0);
+      }
+    });
+
+    puzzle.on("reset", ({ stickers }) => {
+      for (const sticker of stickers) {
+        applyStickerMaterial(sticker);
+        setStickerParametricPosition(sticker, 0, 0);
+      }
+    });
+
+    puzzle.on("restore", ({ stickers }) => {
+      for (const sticker of stickers) {
+        setStickerParametricPosition(sticker, 0, 0);
+      }
+    });
+
+    puzzle.on("recolor", ({ stickers }) => {
+      for (const sticker of stickers) {
+        applyStickerMaterial(sticker);
+      }
+    });
+
+    puzzle.on("rebuild", () => {
+      disposeBoard();
+      Object.assign(grid, computeGridGeometry(puzzle.uCells, puzzle.vCells));
+      buildBoard();
+      updateSeamLine();
+      netCanvas.style.aspectRatio = `${puzzle.uCells} / ${puzzle.vCells}`;
+    });
+  }
+
+  function makeCellGeometry() {
+    const vertsAcrossU = grid.subdivU + 1;
+    const vertsAcrossV = grid.subdivV + 1;
+    const vertexCount = vertsAcrossU * vertsAcrossV;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+
+    const indices = [];
+    for (let j = 0; j < grid.subdivV; j += 1) {
+      for (let i = 0; i < grid.subdivU; i += 1) {
+        const a = j * vertsAcrossU + i;
+        const b = a + 1;
+        const d = (j + 1) * vertsAcrossU + i;
+        const c = d + 1;
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute("uv", new THREE.BufferAttribute(new Float32Array(vertexCount * 2), 2));
+    // Sticker-local coordinates for the mark overlay: (0, 0) to (1, 1) across the cell.
+    const localUvs = new Float32Array(vertexCount * 2);
+    for (let j = 0; j < vertsAcrossV; j += 1) {
+      for (let i = 0; i < vertsAcrossU; i += 1) {
+        localUvs[(j * vertsAcrossU + i) * 2] = i / grid.subdivU;
+        localUvs[(j * vertsAcrossU + i) * 2 + 1] = j / grid.subdivV;
+      }
+    }
+    geometry.setAttribute("uv1", new THREE.BufferAttribute(localUvs, 2));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  function writeStickerPictureUvs(sticker, geometry) {
+    const uvs = geometry.attributes.uv.array;
+    let cursor = 0;
+    for (let j = 0; j <= grid.subdivV; j += 1) {
+      const textureV = 1 - (sticker.initialIv + j / grid.subdivV) / puzzle.vCells;
+      for (let i = 0; i <= grid.subdivU; i += 1) {
+        uvs[cursor] = (sticker.initialIu + i / grid.subdivU) / puzzle.uCells;
+        uvs[cursor + 1] = textureV;
+        cursor += 2;
+      }
+    }
+    geometry.attributes.uv.needsUpdate = true;
+  }
+
+  function setStickerParametricPosition(sticker, uOffsetCells, vOffsetCells) {
+    const view = stickerViews.get(sticker.id);
+    const positions = view.positions;
+    const normals = view.normals;
+
+    let cursor = 0;
+    for (let j = 0; j <= grid.subdivV; j += 1) {
+      const v = (sticker.iv + vOffsetCells + j / grid.subdivV) * grid.dv;
+
+      for (let i = 0; i <= grid.subdivU; i += 1) {
+        const u = (sticker.iu + uOffsetCells + i / grid.subdivU) * grid.du;
+        const point = sampleSurface(u, v);
+        positions[cursor] = point.x;
+        positions[cursor + 1] = point.y;
+        positions[cursor + 2] = point.z;
+
+        normals[cursor] = point.nx;
+        normals[cursor + 1] = point.ny;
+        normals[cursor + 2] = point.nz;
+
+        cursor += 3;
+      }
+    }
+
+    view.geometry.attributes.position.needsUpdate = true;
+    view.geometry.attributes.normal.needsUpdate = true;
+    view.geometry.computeBoundingSphere();
+    updateStickerBoundaryArcs(sticker, view.boundaryArcs, uOffsetCells, vOffsetCells);
+  }
+
+  // Samples the displayed surface at parameters (u, v) into `surfaceSample` (point and
+  // unit normal). The twisted torus is the torus with v sheared along u, so one turn in u
+  // comes back `seamShift()` cells further round in v. The Klein bottle cannot sit in space
+  // without crossing itself; it is drawn as the figure-eight immersion, where one turn in
+  // u comes back with v mirrored, exactly like the seam of the puzzle.
+  function sampleSurface(u, v) {
+    const topology = puzzle.topology;
+    if (topology.flip) {
+      sampleFigureEight(u, v);
+    } else {
+      sampleTorus(u, v + (seamShift(topology, puzzle.vCells) * u) / puzzle.vCells);
+    }
+    return surfaceSample;
+  }
+
+  function sampleTorus(u, v) {
+    const cosU = Math.cos(u);
+    const sinU = Math.sin(u);
+    const cosV = Math.cos(v);
+    const sinV = Math.sin(v);
+
+    const radial = MAJOR_RADIUS + MINOR_RADIUS * cosV;
+    surfaceSample.x = radial * cosU;
+    surfaceSample.y = radial * sinU;
+    surfaceSample.z = MINOR_RADIUS * sinV;
+    surfaceSample.nx = cosU * cosV;
+    surfaceSample.ny = sinU * cosV;
+    surfaceSample.nz = sinV;
+  }
+
+  function figureEightPoint(u, v) {
+    const cosHalfU = Math.cos(u / 2);
+    const sinHalfU = Math.sin(u / 2);
+    const sinV = Math.sin(v);
+    const sin2V = Math.sin(2 * v);
+
+    const radial = MAJOR_RADIUS + FIGURE_EIGHT_SCALE * (cosHalfU * sinV - sinHalfU * sin2V);
+    return new THREE.Vector3(
+      radial * Math.cos(u),
+      radial * Math.sin(u),
+      FIGURE_EIGHT_SCALE * (sinHalfU * sinV + cosHalfU * sin2V)
+    );
+  }
+
+  function sampleFigureEight(u, v) {
+    const point = figureEightPoint(u, v);
+    const alongU = figureEightPoint(u + SURFACE_NORMAL_EPSILON, v).sub(point);
+    const alongV = figureEightPoint(u, v + SURFACE_NORMAL_EPSILON).sub(point);
+    const normal = alongU.cross(alongV).normalize();
+
+    surfaceSample.x = point.x;
+    surfaceSample.y = point.y;
+    surfaceSample.z = point.z;
+    surfaceSample.nx = normal.x;
+    surfaceSample.ny = normal.y;
+    surfaceSample.nz = normal.z;
+  }
+
+  function surfacePoint(u, v) {
+    const point = sampleSurface(u, v);
+    return { x: point.x, y: point.y, z: point.z };
+  }
+
+  function writeSurfacePointLifted(positions, offset, u, v, lift) {
+    const point = sampleSurface(u, v);
+    positions[offset] = point.x + point.nx * lift;
+    positions[offset + 1] = point.y + point.ny * lift;
+    positions[offset + 2] = point.z + point.nz * lift;
+  }
+
+  // The line u = 0 where the left and right edges of the grid are glued; only shown when
+  // that gluing is not the plain torus one.
+  function createSeamLine() {
+    const positions = new Float32Array((SEAM_SEGMENTS + 1) * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: SEAM_COLOR,
+      depthTest: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.renderOrder = 2;
+    line.frustumCulled = false;
+    return { line, geometry, positions };
+  }
+
+  function updateSeamLine() {
+    const topology = puzzle.topology;
+    seamLine.line.visible = topology.flip || topology.twist;
+    if (!seamLine.line.visible) {
+      return;
+    }
+
+    for (let step = 0; step <= SEAM_SEGMENTS; step += 1) {
+      writeSurfacePointLifted(seamLine.positions, step * 3, 0, (step / SEAM_SEGMENTS) * Math.PI * 2, SEAM_LIFT);
+    }
+    seamLine.geometry.attributes.position.needsUpdate = true;
+    seamLine.geometry.computeBoundingSphere();
+  }
+
+  function createBoundaryArcLine() {
+    const positions = new Float32Array((BOUNDARY_ARC_SEGMENTS + 1) * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: BOUNDARY_ARC_COLOR,
+      depthTest: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.renderOrder = 2;
+    line.frustumCulled = false;
+    boundaryArcGroup.add(line);
+    return { line, geometry, positions };
+  }
+
+  function createStickerBoundaryArcs() {
+    return [
+      createBoundaryArcLine(),
+      createBoundaryArcLine(),
+      createBoundaryArcLine(),
+      createBoundaryArcLine(),
+    ];
+  }
+
+  function updateStickerArcEdge(lineData, uStart, vStart, uEnd, vEnd) {
+    let offset = 0;
+    for (let step = 0; step <= BOUNDARY_ARC_SEGMENTS; step += 1) {
+      const t = step / BOUNDARY_ARC_SEGMENTS;
+      const u = THREE.MathUtils.lerp(uStart, uEnd, t);
+      const v = THREE.MathUtils.lerp(vStart, vEnd, t);
+      writeSurfacePointLifted(lineData.positions, offset, u, v, BOUNDARY_ARC_LIFT);
+      offset += 3;
+    }
+
+    lineData.geometry.attributes.position.needsUpdate = true;
+    lineData.geometry.computeBoundingSphere();
+  }
+
+  function updateStickerBoundaryArcs(sticker, boundaryArcs, uOffsetCells, vOffsetCells) {
+    if (!boundaryArcs) {
+      return;
+    }
+
+    const uMin = (sticker.iu + uOffsetCells) * grid.du;
+    const uMax = (sticker.iu + uOffsetCells + 1) * grid.du;
+    const vMin = (sticker.iv + vOffsetCells) * grid.dv;
+    const vMax = (sticker.iv + vOffsetCells + 1) * grid.dv;
+
+    updateStickerArcEdge(boundaryArcs[0], uMin, vMin, uMax, vMin);
+    updateStickerArcEdge(boundaryArcs[1], uMax, vMin, uMax, vMax);
+    updateStickerArcEdge(boundaryArcs[2], uMax, vMax, uMin, vMax);
+    updateStickerArcEdge(boundaryArcs[3], uMin, vMax, uMin, vMin);
+  }
+
+  function createSelectedOutlineLine() {
+    const positions = new Float32Array((SELECT_OUTLINE_SEGMENTS + 1) * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: SELECT_OUTLINE_COLOR,
+      depthTest: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.renderOrder = 3;
+    line.frustumCulled = false;
+    selectedOutlineGroup.add(line);
+    return { geometry, positions };
+  }
+
+  function buildSelectedOutline() {
+    for (let index = 0; index < 4; index += 1) {
+      selectedOutlineLines.push(createSelectedOutlineLine());
+    }
+    selectedOutlineGroup.visible = false;
+    torusGroup.add(selectedOutlineGroup);
+  }
+
+  function getActiveRingMotion() {
+    const ringDrag = interactionState.ringDrag;
+    if (ringDrag && ringDrag.axis) {
+      return ringDrag;
+    }
+    if (interactionState.netDrag) {
+      return interactionState.netDrag;
+    }
+
+    const active = moveQueue.active;
+    if (!active) {
+      return null;
+    }
+    return {
+      axis: active.move.axis,
+      ringIndex: active.move.ringIndex,
+      width: moveWidth(active.move),
+      offsetCells: active.offsetCells,
+    };
+  }
+
+  // Rings a drag or arrow key turns: the `Turn width` setting, one more while Shift is held.
+  function currentTurnWidth(axis, shiftKey) {
+    return Math.min(turnWidth + (shiftKey ? 1 : 0), puzzle.ringCount(axis));
+  }
+
+  function isStickerInMotion(motion, sticker) {
+    const ringIndex = puzzle.ringIndexForSticker(motion.axis, sticker);
+    return puzzle.wideRingIndices(motion.axis, motion.ringIndex, motion.width).includes(ringIndex);
+  }
+
+  function getStickerInteractionOffset(sticker) {
+    const motion = getActiveRingMotion();
+    if (!motion) {
+      return { u: 0, v: 0 };
+    }
+
+    if (!isStickerInMotion(motion, sticker)) {
+      return { u: 0, v: 0 };
+    }
+    const { du, dv } = axisStep(motion.axis);
+    return { u: motion.offsetCells * du, v: motion.offsetCells * dv };
+  }
+
+  function updateOutlineEdge(lineData, uStart, vStart, uEnd, vEnd) {
+    let offset = 0;
+    for (let step = 0; step <= SELECT_OUTLINE_SEGMENTS; step += 1) {
+      const t = step / SELECT_OUTLINE_SEGMENTS;
+      const u = THREE.MathUtils.lerp(uStart, uEnd, t);
+      const v = THREE.MathUtils.lerp(vStart, vEnd, t);
+      writeSurfacePointLifted(lineData.positions, offset, u, v, SELECT_OUTLINE_LIFT);
+      offset += 3;
+    }
+
+    lineData.geometry.attributes.position.needsUpdate = true;
+    lineData.geometry.computeBoundingSphere();
+  }
+
+  function updateSelectedOutline() {
+    if (!selectedStickerId) {
+      selectedOutlineGroup.visible = false;
+      return;
+    }
+
+    const selected = puzzle.stickerById.get(selectedStickerId);
+    if (!selected) {
+      selectedOutlineGroup.visible = false;
+      return;
+    }
+
+    const movementOffset = getStickerInteractionOffset(selected);
+    const uMin = (selected.iu + movementOffset.u) * grid.du;
+    const uMax = (selected.iu + movementOffset.u + 1) * grid.du;
+    const vMin = (selected.iv + movementOffset.v) * grid.dv;
+    const vMax = (selected.iv + movementOffset.v + 1) * grid.dv;
+
+    updateOutlineEdge(selectedOutlineLines[0], uMin, vMin, uMax, vMin);
+    updateOutlineEdge(selectedOutlineLines[1], uMax, vMin, uMax, vMax);
+    updateOutlineEdge(selectedOutlineLines[2], uMax, vMax, uMin, vMax);
+    updateOutlineEdge(selectedOutlineLines[3], uMin, vMax, uMin, vMin);
+
+    selectedOutlineGroup.visible = true;
+  }
+
+  function pickStickerAtClient(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointerNdc.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    pointerNdc.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(pointerNdc, camera);
+    const hit = raycaster.intersectObjects(stickerMeshes, false)[0];
+    if (!hit) {
+      return null;
+    }
+
+    const stickerId = hit.object.userData.stickerId;
+    return puzzle.stickerById.get(stickerId) || null;
+  }
+
+  function setSelectedStickerExplicit(stickerId) {
+    selectedStickerId = stickerId;
+    refreshHighlights();
+    refreshStatusText();
+    announce(selectionDescription());
+    const selected = stickerId ? puzzle.stickerById.get(stickerId) : null;
+    api.emit("select", selected ? { stickerId, iu: selected.iu, iv: selected.iv } : { stickerId: null });
+  }
+
+  // Moves the selection one cell on the grid (across the u seam into the glued row),
+  // starting from the first region when nothing is selected yet.
+  function moveSelectionCursor(du, dv) {
+    const selected = selectedStickerId ? puzzle.stickerById.get(selectedStickerId) : null;
+    if (!selected) {
+      setSelectedStickerExplicit(puzzle.stickerAt(0, 0).id);
+      return;
+    }
+
+    let iu = selected.iu + du;
+    let iv = modulo(selected.iv + dv, puzzle.vCells);
+    if (iu >= puzzle.uCells) {
+      iu = 0;
+      iv = seamRow(puzzle.topology, iv, puzzle.vCells, 1);
+    } else if (iu < 0) {
+      iu = puzzle.uCells - 1;
+      iv = seamRow(puzzle.topology, iv, puzzle.vCells, -1);
+    }
+    setSelectedStickerExplicit(puzzle.stickerAt(iu, iv).id);
+  }
+
+  function selectionDescription() {
+    const selected = selectedStickerId ? puzzle.stickerById.get(selectedStickerId) : null;
+    if (!selected) {
+      return "No region selected.";
+    }
+    return `Selected column ${selected.iu}, row ${selected.iv}: ${stickerDescription(selected)}.`;
+  }
+
+  function stickerDescription(sticker) {
+    if (pictureTexture) {
+      return `picture piece from column ${sticker.initialIu}, row ${sticker.initialIv}`;
+    }
+    return colorName(stickerColorHex(sticker), palette.colors, palette.names);
+  }
+
+  // Screen readers pick up the polite live region; clearing it first makes a repeated
+  // message (the same move twice) count as a change.
+  function announce(message) {
+    liveRegion.textContent = "";
+    liveRegion.textContent = message;
+  }
+
+  function toggleSelectedSticker(stickerId) {
+    if (selectedStickerId === stickerId) {
+      setSelectedStickerExplicit(null);
+    } else {
+      setSelectedStickerExplicit(stickerId);
+    }
+  }
+
+  function refreshHighlights() {
+    updateSelectedOutline();
+  }
+
+  function projectTorusPointToScreen(point) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const projected = new THREE.Vector3(point.x, point.y, point.z).project(camera);
+    return {
+      x: (projected.x * 0.5 + 0.5) * rect.width,
+      y: (-projected.y * 0.5 + 0.5) * rect.height,
+    };
+  }
+
+  function getProjectedStepVectorForSticker(sticker, axis, offsetCells) {
+    const { du, dv } = axisStep(axis);
+    const uCenter = (sticker.iu + 0.5 + offsetCells * du) * grid.du;
+    const vCenter = (sticker.iv + 0.5 + offsetCells * dv) * grid.dv;
+    const p0 = surfacePoint(uCenter, vCenter);
+    const p1 = surfacePoint(uCenter + du * grid.du, vCenter + dv * grid.dv);
+    const s0 = projectTorusPointToScreen(p0);
+    const s1 = projectTorusPointToScreen(p1);
+    return {
+      x: s1.x - s0.x,
+      y: s1.y - s0.y,
+    };
+  }
+
+  // Picks the axis (of those the puzzle allows) whose projected step is most nearly
+  // parallel to the drag; ties go to the earlier axis in `puzzle.axes`.
+  function chooseDragAxisForRingDrag(sticker, dragX, dragY) {
+    const dragLen = Math.hypot(dragX, dragY);
+    if (dragLen < 0.0001) {
+      return null;
+    }
+
+    const dragUnitX = dragX / dragLen;
+    const dragUnitY = dragY / dragLen;
+    let bestAxis = null;
+    let bestScore = -1;
+    for (const axis of puzzle.axes) {
+      const stepVec = getProjectedStepVectorForSticker(sticker, axis, 0);
+      const stepLen = Math.hypot(stepVec.x, stepVec.y);
+      if (stepLen < MIN_STEP_PROJECTION_PX) {
+        continue;
+      }
+      const score = Math.abs((dragUnitX * stepVec.x + dragUnitY * stepVec.y) / stepLen);
+      if (score > bestScore) {
+        bestAxis = axis;
+        bestScore = score;
+      }
+    }
+
+    if (!bestAxis) {
+      return Math.abs(dragX) >= Math.abs(dragY) ? "longitudinal" : "meridional";
+    }
+    return bestAxis;
+  }
+
+  function setRingVisualOffset(axis, stickers, offsetCells) {
+    if (!axis || !stickers) {
+      return;
+    }
+
+    // Diagonal rings move both ways at once, so their stickers slide along the diagonal.
+    const { du, dv } = axisStep(axis);
+    for (const sticker of stickers) {
+      setStickerParametricPosition(sticker, offsetCells * du, offsetCells * dv);
+    }
+  }
+
+  function clearRingVisual(stickers) {
+    if (!stickers) {
+      return;
+    }
+    for (const sticker of stickers) {
+      setStickerParametricPosition(sticker, 0, 0);
+    }
+  }
+
+  function applyDiscreteMoveForAnchor(type, dir, anchorStickerId, shiftKey = false) {
+    if (blockedByReplay()) {
+      return;
+    }
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    queueMove(() => {
+      const anchorSticker = puzzle.stickerById.get(anchorStickerId);
+      if (!anchorSticker) {
+        return null;
+      }
+      return copyMove({
+        axis: type,
+        ringIndex: puzzle.ringIndexForSticker(type, anchorSticker),
+        steps: dir,
+        width: currentTurnWidth(type, shiftKey),
+      });
+    });
+  }
+
+  // Every turn that is not a live drag goes through the move queue. Options:
+  // record (push to history), counted (session move counter), celebrate (when the
+  // queue empties on a solved board), speedFactor, fromOffset, onCommit(move).
+  function queueMove(move, options = {}) {
+    moveQueue.enqueue({
+      ...(typeof move === "function" ? { resolve: move } : { move }),
+      record: true,
+      counted: true,
+      celebrate: true,
+      speedFactor: 1,
+      ...options,
+    });
+  }
+
+  function moveDurationMs(distanceCells, speedFactor) {
+    return MOVE_DURATION_MS * ANIMATION_SPEED_FACTORS[animationSpeed] * speedFactor * Math.sqrt(distanceCells);
+  }
+
+  function startQueuedMove(item) {
+    const { axis, ringIndex, steps } = item.move;
+    item.movingStickers = puzzle.getRingStickers(axis, ringIndex, moveWidth(item.move));
+    item.durationMs = moveDurationMs(Math.abs(steps - item.fromOffset), item.speedFactor);
+  }
+
+  function renderQueuedMove(item) {
+    setRingVisualOffset(item.move.axis, item.movingStickers, item.offsetCells);
+  }
+
+  function completeQueuedMove(item) {
+    const move = item.move;
+    if (move.steps === 0) {
+      clearRingVisual(item.movingStickers);
+    } else {
+      const followsSolution = isNextSolutionMove(move);
+      puzzle.applyMove(move);
+      if (item.record) {
+        moveHistory.record(move);
+      }
+      if (item.counted) {
+        countSessionMove(move);
+        saveGame();
+        announce(`${formatMove(move)}. ${selectionDescription()}`);
+        api.emit("move", { move: copyMove(move), notation: formatMove(move) });
+        reportRaceProgress();
+      }
+      if (followsSolution) {
+        cachedSolution = { revision: puzzleRevision, moves: cachedSolution.moves.slice(1) };
+      }
+    }
+
+    if (item.onCommit) {
+      item.onCommit(move);
+    }
+    refreshHistoryButtons();
+    refreshHighlights();
+    refreshStatusText();
+  }
+
+  function cancelQueuedMoves() {
+    const active = moveQueue.cancel();
+    if (active) {
+      clearRingVisual(active.movingStickers);
+    }
+  }
+
+  function undoMove() {
+    if (blockedByReplay()) {
+      return;
+    }
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    queueMove(() => moveHistory.undo(), { record: false });
+  }
+
+  function redoMove() {
+    if (blockedByReplay()) {
+      return;
+    }
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    queueMove(() => moveHistory.redo(), { record: false });
+  }
+
+  function runMoveSequence(text) {
+    if (blockedByReplay()) {
+      return false;
+    }
+    let moves;
+    try {
+      moves = parseMoves(text, puzzle);
+    } catch (error) {
+      showStatusMessage(error.message);
+      return false;
+    }
+
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    for (const move of moves) {
+      queueMove(move);
+    }
+    showStatusMessage(moves.length === 1 ? "Applied 1 move." : `Applied ${moves.length} moves.`);
+    return true;
+  }
+
+  function refreshSolvedState(celebrate) {
+    const wasSolved = puzzleSolved;
+    puzzleSolved = puzzle.isSolved();
+    if (challenge) {
+      refreshChallengeState(celebrate);
+      return;
+    }
+    if (puzzleSolved && !wasSolved) {
+      finishSolveSession(celebrate);
+      if (celebrate && raceRunActive()) {
+        finishRaceRun();
+      }
+      if (celebrate) {
+        celebrateSolve();
+        api.emit("solved", {
+          moveCount: solveSession.moveCount,
+          timeMs: solveSession.startMs === null ? null : Math.round(sessionElapsedMs()),
+          seed: solveSession.seed,
+        });
+      }
+    } else if (!puzzleSolved) {
+      hideSolvedOverlay();
+    }
+  }
+
+  function createSolveSession(scrambled, seed, scrambleMoves = []) {
+    return {
+      scrambled,
+      seed,
+      scrambleMoves,
+      timeline: [],
+      startMs: null,
+      endMs: null,
+      moveCount: 0,
+      hintsUsed: 0,
+      assisted: false,
+      // Date key of the daily this session plays, or null.
+      daily: null,
+    };
+  }
+
+  function countSessionMove(move) {
+    solveSession.moveCount += 1;
+    if (solutionPlayback) {
+      solveSession.assisted = true;
+    }
+    if (solveSession.scrambled && solveSession.startMs === null) {
+      solveSession.startMs = performance.now();
+    }
+    if (solveSession.scrambled) {
+      solveSession.timeline.push({ move, t: sessionElapsedMs() });
+    }
+  }
+
+  function sessionElapsedMs(nowMs = performance.now()) {
+    if (solveSession.startMs === null) {
+      return 0;
+    }
+    return (solveSession.endMs === null ? nowMs : solveSession.endMs) - solveSession.startMs;
+  }
+
+  function finishSolveSession(countsForStats) {
+    if (solveSession.startMs === null || solveSession.endMs !== null) {
+      return;
+    }
+
+    solveSession.endMs = performance.now();
+    lastReplay = createReplay({
+      uCells: puzzle.uCells,
+      vCells: puzzle.vCells,
+      topology: puzzle.topology.id,
+      diagonals: puzzle.diagonals,
+      colorScheme: colorScheme.id,
+      picture: pictureSource,
+      seed: solveSession.seed,
+      scrambleMoves: solveSession.scrambleMoves,
+      moves: solveSession.timeline,
+    });
+    refreshReplayButtons();
+    if (!countsForStats || solveSession.assisted) {
+      return;
+    }
+
+    solveStats.record({
+      date: new Date().toISOString(),
+      timeMs: sessionElapsedMs(),
+      moves: solveSession.moveCount,
+      seed: solveSession.seed,
+      category: currentStatsCategory(),
+    });
+    if (solveSession.daily) {
+      recordDailyResult(solveSession.daily);
+    }
+    refreshStatsPanel();
+  }
+
+  function currentStatsCategory() {
+    const parts = [formatGridSize(puzzle.uCells, puzzle.vCells)];
+    if (puzzle.topology.id !== DEFAULT_TOPOLOGY_ID) {
+      parts.push(puzzle.topology.id);
+    }
+    if (puzzle.diagonals) {
+      parts.push("diagonal");
+    }
+    if (pictureTexture) {
+      parts.push("picture");
+    }
+    return parts.join(" ");
+  }
+
+  function refreshHud(nowMs) {
+    const timeLabel = formatDuration(replayState ? replayState.clockMs : sessionElapsedMs(nowMs));
+    if (timerText.textContent !== timeLabel) {
+      timerText.textContent = timeLabel;
+    }
+
+    let moveLabel = solveSession.moveCount === 1 ? "1 move" : `${solveSession.moveCount} moves`;
+    if (replayState) {
+      moveLabel = `${replayState.moveCount} / ${replayState.replay.moves.length} moves`;
+    }
+    if (moveCountText.textContent !== moveLabel) {
+      moveCountText.textContent = moveLabel;
+    }
+  }
+
+  function refreshStatsPanel() {
+    if (statsPanel.hidden) {
+      return;
+    }
+    refreshDailyStats();
+
+    const category = currentStatsCategory();
+    const summary = solveStats.summary(category);
+    const rows = [
+      ["Puzzle", category.replace("x", " × ")],
+      ["Solves", String(summary.count)],
+      ["Best", formatDuration(summary.best)],
+      ["Average of 5", formatDuration(summary.ao5)],
+      ["Average of 12", formatDuration(summary.ao12)],
+    ];
+    statsSummary.replaceChildren(
+      ...rows.flatMap(([label, value]) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const detail = document.createElement("dd");
+        detail.textContent = value;
+        return [term, detail];
+      })
+    );
+
+    const entries = solveStats.solves.slice().reverse();
+    if (entries.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "stats-empty";
+      empty.textContent = "No solves yet. Scramble and solve to start tracking.";
+      statsHistory.replaceChildren(empty);
+      return;
+    }
+
+    statsHistory.replaceChildren(
+      ...entries.map((entry) => {
+        const item = document.createElement("li");
+        const date = new Date(entry.date);
+        const time = document.createElement("strong");
+        time.textContent = formatDuration(entry.timeMs);
+        const detail = document.createElement("span");
+        const seed = entry.seed ? ` · seed ${entry.seed}` : "";
+        detail.textContent = `${entry.moves} moves · ${entry.category}${seed} · ${date.toLocaleDateString()}`;
+        item.append(time, detail);
+        return item;
+      })
+    );
+  }
+
+  function clearStats() {
+    if (solveStats.solves.length === 0) {
+      return;
+    }
+    if (!window.confirm("Clear all saved solve statistics?")) {
+      return;
+    }
+    solveStats.clear();
+    refreshStatsPanel();
+  }
+
+  // Today's daily: a fixed board and a seed derived from the local calendar date, so
+  // everyone gets the same scramble. Replays of an already solved daily are not recorded.
+  function startDaily() {
+    const dateKey = dailyDateKey();
+    setGridSize(DAILY_GRID.uCells, DAILY_GRID.vCells);
+    setTopology(DEFAULT_TOPOLOGY_ID);
+    setDiagonalMoves(false);
+    setColorScheme(DEFAULT_COLOR_SCHEME_ID);
+    if (pictureSource) {
+      selectPicturePreset(null);
+    }
+    scramblePuzzle(dailySeed(dateKey), animateScramble);
+
+    const result = dailyRecords.resultFor(dateKey);
+    if (result) {
+      const time = formatDuration(result.timeMs);
+      showStatusMessage(`You solved today's daily in ${time} (${result.moves} moves); this run is not recorded.`);
+      return;
+    }
+    solveSession.daily = dateKey;
+    saveGame();
+    showStatusMessage(`Daily puzzle for ${dateKey}. The timer starts with your first move.`);
+  }
+
+  function recordDailyResult(dateKey) {
+    const recorded = dailyRecords.record(dateKey, {
+      timeMs: sessionElapsedMs(),
+      moves: solveSession.moveCount,
+      hintsUsed: solveSession.hintsUsed,
+    });
+    if (!recorded) {
+      return;
+    }
+    const streak = dailyRecords.streak(dailyDateKey());
+    const days = streak === 1 ? "1 day" : `${streak} days`;
+    showStatusMessage(`Daily ${dateKey} solved! Streak: ${days}. Copy your result from Stats.`);
+  }
+
+  function refreshDailyStats() {
+    const today = dailyDateKey();
+    const result = dailyRecords.resultFor(today);
+    const streak = dailyRecords.streak(today);
+    const todayLabel = result
+      ? `Today: ${formatDuration(result.timeMs)}, ${result.moves} moves.`
+      : "Today's daily is not solved yet.";
+    dailySummary.textContent = `${todayLabel} Streak: ${streak === 1 ? "1 day" : `${streak} days`}.`;
+    copyDailyBtn.disabled = !result;
+
+    const entries = dailyRecords.recent(7);
+    dailyHistory.replaceChildren(
+      ...entries.map((entry) => {
+        const item = document.createElement("li");
+        const time = document.createElement("strong");
+        time.textContent = formatDuration(entry.timeMs);
+        const detail = document.createElement("span");
+        const hints = entry.hintsUsed === 0 ? "" : ` · ${entry.hintsUsed} hint${entry.hintsUsed === 1 ? "" : "s"}`;
+        detail.textContent = `${entry.moves} moves${hints} · ${entry.dateKey}`;
+        item.append(time, detail);
+        return item;
+      })
+    );
+  }
+
+  function copyDailyResult() {
+    const today = dailyDateKey();
+    const result = dailyRecords.resultFor(today);
+    if (!result) {
+      return;
+    }
+
+    const text = formatDailyShare(today, result, dailyRecords.streak(today));
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      showStatusMessage(text.replaceAll("\n", " · "));
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => showStatusMessage("Daily result copied to clipboard."),
+      () => showStatusMessage(text.replaceAll("\n", " · "))
+    );
+  }
+
+  function populatePatternSelect() {
+    patternSelect.replaceChildren(
+      ...PATTERNS.map((pattern) => {
+        const option = document.createElement("option");
+        option.value = pattern.id;
+        option.textContent = pattern.name;
+        return option;
+      })
+    );
+    refreshPatternDescription();
+  }
+
+  function refreshPatternDescription() {
+    const pattern = getPattern(patternSelect.value);
+    if (!pattern) {
+      return;
+    }
+    const grid = pattern.grid.replace("x", " × ");
+    patternDescription.textContent = `${pattern.description} ${grid} board, par ${pattern.par}.`;
+  }
+
+  // `source` is a pattern id from PATTERNS or a pattern object in the same format. The
+  // board switches to the pattern's settings and starting position; the player's moves
+  // count from there. Throws, without changing anything, if the pattern cannot be played.
+  function startChallenge(source) {
+    if (typeof source === "string" && !getPattern(source)) {
+      throw new Error(`Unknown pattern "${source}".`);
+    }
+    const pattern = preparePattern(typeof source === "string" ? getPattern(source) : source);
+
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    setGridSize(pattern.uCells, pattern.vCells);
+    setTopology(pattern.topology);
+    setDiagonalMoves(pattern.diagonals);
+    setColorScheme(pattern.scheme);
+    if (pictureSource) {
+      selectPicturePreset(null);
+    }
+
+    puzzle.reset();
+    puzzle.applyMoves(pattern.startMoves);
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    selectedStickerId = null;
+    challenge = {
+      pattern,
+      goalBoard: pattern.target.map((column, iu) =>
+        column.map((colorIndex, iv) => ({ id: `goal-${iu}-${iv}`, colorIndex, initialIu: iu, initialIv: iv }))
+      ),
+      matched: false,
+    };
+    refreshChallengeView();
+    refreshSolverButtons();
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    showStatusMessage(`Challenge: ${pattern.name}. Match the goal in ${pattern.par} moves or fewer.`);
+  }
+
+  function captureChallenge() {
+    const { id, name, par } = challenge.pattern;
+    return { id, name, par, matched: challenge.matched };
+  }
+
+  function endChallenge() {
+    if (!challenge) {
+      return;
+    }
+    challenge = null;
+    hideSolvedOverlay();
+    refreshChallengeView();
+    refreshSolverButtons();
+  }
+
+  function refreshChallengeState(celebrate) {
+    const matched = patternMatches(puzzle, challenge.pattern.target);
+    if (matched && !challenge.matched && celebrate) {
+      const { name, par } = challenge.pattern;
+      const moveCount = solveSession.moveCount;
+      const moveLabel = moveCount === 1 ? "in 1 move" : `in ${moveCount} moves`;
+      const score = moveCount === par ? "" : ` (${moveCount < par ? "−" : "+"}${Math.abs(moveCount - par)})`;
+      showSolvedOverlay("Pattern complete!", `${moveLabel} · par ${par}${score}`);
+      announce(`${name} complete ${moveLabel}, par ${par}.`);
+    } else if (!matched) {
+      hideSolvedOverlay();
+    }
+    challenge.matched = matched;
+  }
+
+  function refreshChallengeView() {
+    goalPanel.hidden = !challenge;
+    if (!challenge) {
+      return;
+    }
+    goalTitle.textContent = challenge.pattern.name;
+    goalPar.textContent = `Par ${challenge.pattern.par}`;
+    goalCanvas.style.aspectRatio = `${puzzle.uCells} / ${puzzle.vCells}`;
+  }
+
+  function renderGoalView() {
+    if (!challenge) {
+      return;
+    }
+    goalView.render({
+      board: challenge.goalBoard,
+      uCells: puzzle.uCells,
+      vCells: puzzle.vCells,
+      colorForSticker: stickerColorHex,
+      topology: puzzle.topology,
+      stickerMark: stickerMarkId,
+    });
+  }
+
+  function joinRace() {
+    const roomName = raceRoomInput.value.trim();
+    if (!roomName) {
+      showStatusMessage("Pick a room name to race in.");
+      return;
+    }
+
+    let client;
+    try {
+      client = new RaceClient({
+        url: raceServerInput.value.trim() || defaultRaceServerUrl(),
+        room: roomName,
+        name: raceNameInput.value.trim() || "Player",
+        playerId: racePlayerId,
+        onStatus: handleRaceStatus,
+        onRoom: handleRaceRoom,
+        onStart: startRaceRun,
+        onError: (message) => showStatusMessage(`Race: ${message}`),
+      });
+    } catch (error) {
+      showStatusMessage(error.message);
+      return;
+    }
+    race = { client, snapshot: null, run: null, announcedSeed: null };
+    client.connect();
+    refreshRacePanel();
+  }
+
+  function leaveRace() {
+    if (!race) {
+      return;
+    }
+    const { client } = race;
+    race = null;
+    client.disconnect();
+    refreshRacePanel();
+  }
+
+  function handleRaceStatus(status) {
+    if (!race) {
+      return;
+    }
+    if (status === "reconnecting") {
+      showStatusMessage("Lost the race relay. Reconnecting…");
+    } else if (status === "disconnected" && race.snapshot) {
+      showStatusMessage("Disconnected from the race relay. Your board is still yours to finish.");
+    }
+    if (status === "disconnected") {
+      race = null;
+    }
+    refreshRacePanel();
+  }
+
+  function handleRaceRoom(snapshot) {
+    race.snapshot = snapshot;
+    const current = snapshot.race;
+    const me = snapshot.players.find((player) => player.playerId === racePlayerId);
+    // Joining (or coming back to) a room mid-race picks up its scramble.
+    if (current && !current.winner && (!race.run || race.run.seed !== current.seed) && me && me.place === null) {
+      startRaceRun(current);
+    }
+    if (current && current.winner && race.announcedSeed !== current.seed) {
+      race.announcedSeed = current.seed;
+      const { playerId, name, moves } = current.winner;
+      const message = playerId === racePlayerId ? "You win the race!" : `${name} wins the race in ${moves} moves.`;
+      showStatusMessage(message);
+      announce(message);
+    }
+    refreshRacePanel();
+  }
+
+  // Everyone in the room plays the same seeded scramble on the same plain board.
+  function startRaceRun({ seed, uCells, vCells }) {
+    setGridSize(uCells, vCells);
+    setTopology(DEFAULT_TOPOLOGY_ID);
+    setDiagonalMoves(false);
+    setColorScheme(DEFAULT_COLOR_SCHEME_ID);
+    if (pictureSource) {
+      selectPicturePreset(null);
+    }
+    scramblePuzzle(seed, false);
+    race.run = { seed, session: solveSession, solved: false };
+    reportRaceProgress();
+    showStatusMessage("The race is on! The first to solve this scramble wins.");
+    announce("The race is on.");
+    refreshRacePanel();
+  }
+
+  function raceRunActive() {
+    return Boolean(race && race.run && !race.run.solved && race.run.session === solveSession);
+  }
+
+  function reportRaceProgress() {
+    if (raceRunActive()) {
+      race.client.reportProgress(solveSession.moveCount, Math.floor(puzzle.solvedFraction() * 100));
+    }
+  }
+
+  function finishRaceRun() {
+    race.run.solved = true;
+    if (solveSession.assisted) {
+      showStatusMessage("A solve played back by Solve does not count in a race.");
+      return;
+    }
+    race.client.reportSolved(solveSession.moveCount, sessionElapsedMs(), solveSession.hintsUsed);
+  }
+
+  function refreshRacePanel() {
+    const status = race ? race.client.status : "disconnected";
+    const snapshot = race && status === "connected" ? race.snapshot : null;
+    const players = snapshot ? snapshot.players : [];
+    const current = snapshot ? snapshot.race : null;
+    const running = Boolean(current && !current.winner);
+    const connectedPlayers = players.filter((player) => player.connected).length;
+
+    raceJoinBtn.textContent = race ? "Leave" : "Join";
+    raceStartBtn.disabled = !snapshot || running || connectedPlayers < 2;
+    for (const input of [raceServerInput, raceRoomInput, raceNameInput]) {
+      input.disabled = Boolean(race);
+    }
+
+    if (!race) {
+      raceStatus.textContent = "Start the relay with node relay/server.mjs, then join a room.";
+    } else if (status === "connecting") {
+      raceStatus.textContent = `Connecting to ${race.client.url}…`;
+    } else if (status === "reconnecting") {
+      raceStatus.textContent = "Connection lost. Reconnecting…";
+    } else if (!snapshot) {
+      raceStatus.textContent = "Joining…";
+    } else if (running) {
+      const solveNote = raceRunActive() ? "" : " You are out of this race.";
+      raceStatus.textContent = `Racing on ${current.uCells} × ${current.vCells}. First solve wins.${solveNote}`;
+    } else if (current) {
+      raceStatus.textContent = `${current.winner.name} won. Start another race when everyone is ready.`;
+    } else {
+      raceStatus.textContent =
+        connectedPlayers < 2
+          ? `Room ${snapshot.room}: waiting for another player.`
+          : `Room ${snapshot.room}: anyone can start the race on this grid size.`;
+    }
+
+    racePlayers.replaceChildren(
+      ...players.map((player) => {
+        const item = document.createElement("li");
+        const name = document.createElement("strong");
+        name.textContent = player.playerId === racePlayerId ? `${player.name} (you)` : player.name;
+        const bar = document.createElement("progress");
+        bar.max = 100;
+        bar.value = player.percent;
+        const detail = document.createElement("span");
+        const moves = player.moves === 1 ? "1 move" : `${player.moves} moves`;
+        const time = formatDuration(player.timeMs);
+        const place = player.place === null ? `${player.percent}%` : `#${player.place} · ${time}`;
+        detail.textContent = `${moves} · ${place}${player.connected ? "" : " · disconnected"}`;
+        item.append(name, detail, bar);
+        return item;
+      })
+    );
+  }
+
+  function captureRace() {
+    const snapshot = race.snapshot;
+    return {
+      status: race.client.status,
+      room: snapshot ? snapshot.room : null,
+      racing: raceRunActive(),
+      seed: race.run ? race.run.seed : null,
+      winner: snapshot && snapshot.race && snapshot.race.winner ? snapshot.race.winner.name : null,
+      players: (snapshot ? snapshot.players : []).map(({ name, connected, moves, percent, place }) => ({
+        name,
+        connected,
+        moves,
+        percent,
+        place,
+      })),
+    };
+  }
+
+  function refreshAnalysisPanel() {
+    highlightStickers(null);
+    if (analysisPanel.hidden) {
+      return;
+    }
+
+    const analysis = analyzePermutation(puzzle);
+    const rows = [
+      ["Misplaced stickers", `${analysis.misplaced} of ${analysis.cellCount}`],
+      ["Cycles", String(analysis.cycles.length)],
+      ["Cycle type", formatCycleType(analysis.cycles)],
+      ["Parity", analysis.parity],
+      ["Order", String(analysis.order)],
+    ];
+    analysisSummary.replaceChildren(
+      ...rows.flatMap(([label, value]) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const detail = document.createElement("dd");
+        detail.textContent = value;
+        return [term, detail];
+      })
+    );
+
+    if (analysis.cycles.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "stats-empty";
+      empty.textContent = "Every sticker is at home.";
+      cycleList.replaceChildren(empty);
+      return;
+    }
+
+    const items = analysis.cycles.slice(0, MAX_LISTED_CYCLES).map((cycle) => {
+      const item = document.createElement("li");
+      item.tabIndex = 0;
+      const length = document.createElement("strong");
+      length.textContent = `${cycle.length}-cycle`;
+      const cells = document.createElement("span");
+      const listed = cycle.slice(0, MAX_LISTED_CYCLE_CELLS).map((cell) => {
+        return `(${Math.floor(cell / puzzle.vCells)}, ${cell % puzzle.vCells})`;
+      });
+      const more = cycle.length > listed.length ? ` → … ${cycle.length - listed.length} more` : "";
+      cells.textContent = `${listed.join(" → ")}${more}`;
+      item.append(length, cells);
+
+      // Highlight the stickers now sitting on the cycle's cells.
+      const stickerIds = new Set(
+        cycle.map((cell) => puzzle.board[Math.floor(cell / puzzle.vCells)][cell % puzzle.vCells].id)
+      );
+      item.addEventListener("mouseenter", () => highlightStickers(stickerIds));
+      item.addEventListener("focus", () => highlightStickers(stickerIds));
+      item.addEventListener("mouseleave", () => highlightStickers(null));
+      item.addEventListener("blur", () => highlightStickers(null));
+      return item;
+    });
+    if (analysis.cycles.length > MAX_LISTED_CYCLES) {
+      const rest = document.createElement("li");
+      rest.className = "stats-empty";
+      rest.textContent = `… and ${analysis.cycles.length - MAX_LISTED_CYCLES} shorter cycles`;
+      items.push(rest);
+    }
+    cycleList.replaceChildren(...items);
+  }
+
+  function highlightStickers(stickerIds) {
+    for (const [stickerId, view] of stickerViews) {
+      const glow = stickerIds && stickerIds.has(stickerId) ? CYCLE_HIGHLIGHT_EMISSIVE : 0x000000;
+      view.mesh.material.emissive.setHex(glow);
+    }
+  }
+
+  function showSequenceOrder(text) {
+    let moves;
+    try {
+      moves = parseMoves(text, puzzle);
+    } catch (error) {
+      orderResult.textContent = error.message;
+      return;
+    }
+    if (moves.length === 0) {
+      orderResult.textContent = "Type a move sequence, e.g. M0 L0.";
+      return;
+    }
+
+    const { order, cycles, parity } = sequenceOrder(moves, puzzle);
+    const repeats = order === 1n ? "Doing it once" : `Repeating it ${order} times`;
+    orderResult.textContent =
+      `${formatMoves(moves)} has order ${order}. ${repeats} brings any position back to itself. ` +
+      `As a permutation it is ${parity}, cycle type ${formatCycleType(cycles)}.`;
+  }
+
+  function capturePermutation() {
+    const analysis = analyzePermutation(puzzle);
+    return {
+      misplaced: analysis.misplaced,
+      cycleType: formatCycleType(analysis.cycles),
+      parity: analysis.parity,
+      order: String(analysis.order),
+    };
+  }
+
+  function captureGame() {
+    return {
+      uCells: puzzle.uCells,
+      vCells: puzzle.vCells,
+      topology: puzzle.topology.id,
+      diagonals: puzzle.diagonals,
+      colorScheme: colorScheme.id,
+      picture: pictureSource,
+      positions: Object.fromEntries(puzzle.stickers.map((sticker) => [sticker.id, { iu: sticker.iu, iv: sticker.iv }])),
+      selected: selectedStickerId,
+      camera: camera.position.toArray().map((value) => Number(value.toFixed(3))),
+      session: {
+        scrambled: solveSession.scrambled,
+        seed: solveSession.seed,
+        elapsedMs: solveSession.startMs === null ? null : sessionElapsedMs(),
+        running: solveSession.startMs !== null && solveSession.endMs === null,
+        moveCount: solveSession.moveCount,
+        hintsUsed: solveSession.hintsUsed,
+        assisted: solveSession.assisted,
+        scrambleMoves: solveSession.scrambleMoves,
+        timeline: solveSession.timeline,
+        daily: solveSession.daily,
+      },
+      history: moveHistory.toJSON(),
+    };
+  }
+
+  // Only unsolved boards are kept; nothing is written while the resume prompt is open
+  // (so the old save survives until the player answers), while a replay is showing or
+  // during a challenge.
+  function saveGame() {
+    if (pendingResume || replayState || challenge) {
+      return;
+    }
+    if (puzzle.isSolved()) {
+      gameSave.clear();
+      return;
+    }
+    gameSave.save(captureGame());
+  }
+
+  function showResumePrompt(game) {
+    const elapsed = game.session.elapsedMs === null ? "" : ` · ${formatDuration(game.session.elapsedMs)}`;
+    const moves = game.session.moveCount === 1 ? "1 move" : `${game.session.moveCount} moves`;
+    const topology = game.topology === DEFAULT_TOPOLOGY_ID ? "" : ` ${getTopology(game.topology).label.toLowerCase()}`;
+    resumeDetail.textContent = `${game.uCells} × ${game.vCells}${topology} · ${moves}${elapsed}`;
+    resumeOverlay.hidden = false;
+    resumeBtn.focus();
+  }
+
+  function answerResumePrompt(resume) {
+    const game = pendingResume;
+    pendingResume = null;
+    resumeOverlay.hidden = true;
+    if (resume && game) {
+      restoreGame(game);
+    }
+    saveGame();
+  }
+
+  function restoreGame(game) {
+    closeReplay();
+    endChallenge();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    if (game.uCells !== puzzle.uCells || game.vCells !== puzzle.vCells) {
+      setGridSize(game.uCells, game.vCells);
+    }
+    setTopology(game.topology);
+    setDiagonalMoves(game.diagonals);
+    if (game.colorScheme) {
+      setColorScheme(game.colorScheme);
+    }
+    if (game.picture !== pictureSource && (!game.picture || getPicturePreset(game.picture))) {
+      selectPicturePreset(game.picture);
+    }
+
+    puzzle.restoreStickerPositions(puzzle.stickers.map((sticker) => game.positions[sticker.id]));
+    moveHistory.restore(game.history);
+    refreshHistoryButtons();
+
+    const saved = game.session;
+    solveSession = createSolveSession(saved.scrambled, saved.seed, saved.scrambleMoves);
+    solveSession.moveCount = saved.moveCount;
+    solveSession.hintsUsed = saved.hintsUsed;
+    solveSession.assisted = saved.assisted;
+    solveSession.timeline = saved.timeline;
+    solveSession.daily = saved.daily;
+    if (saved.elapsedMs !== null) {
+      const nowMs = performance.now();
+      solveSession.startMs = nowMs - saved.elapsedMs;
+      solveSession.endMs = saved.running ? null : nowMs;
+    }
+    setScrambleSeed(saved.seed);
+
+    if (game.camera) {
+      camera.position.fromArray(game.camera);
+      controls.update();
+    }
+    selectedStickerId = game.selected;
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+  }
+
+  // Public API (see api.js). Moves go through the queue like typed moves; without
+  // `animate` the queue is flushed so they are on the board when the call returns.
+  function applyApiMoves(moves, { animate }) {
+    if (replayState) {
+      throw new Error("Close the replay to make moves.");
+    }
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    for (const move of moves) {
+      queueMove(move);
+    }
+    if (!animate) {
+      moveQueue.flush();
+    }
+  }
+
+  function captureApiState() {
+    return {
+      grid: formatGridSize(puzzle.uCells, puzzle.vCells),
+      topology: puzzle.topology.id,
+      diagonals: puzzle.diagonals,
+      colorScheme: colorScheme.id,
+      stickers: Object.fromEntries(puzzle.stickers.map((sticker) => [sticker.id, [sticker.iu, sticker.iv]])),
+      selected: selectedStickerId,
+      solved: puzzle.isSolved(),
+      seed: solveSession.seed,
+      moveCount: solveSession.moveCount,
+      history: formatMoves(moveHistory.undoStack),
+      challenge: challenge ? captureChallenge() : null,
+    };
+  }
+
+  // Accepts what `captureApiState()` returns; every field is optional and missing ones
+  // keep the current setting (missing `stickers` means solved). Everything is checked
+  // before the board changes. The position starts a fresh, unscrambled session.
+  function restoreApiState(state) {
+    if (!state || typeof state !== "object") {
+      throw new Error("setState needs a state object.");
+    }
+    const size =
+      state.grid === undefined ? { uCells: puzzle.uCells, vCells: puzzle.vCells } : parseGridSize(state.grid);
+    if (!size) {
+      throw new Error(`Invalid grid size "${state.grid}".`);
+    }
+    const topology = state.topology === undefined ? puzzle.topology.id : state.topology;
+    if (!getTopology(topology)) {
+      throw new Error(`Unknown topology "${topology}".`);
+    }
+    if (state.colorScheme !== undefined && !getColorScheme(state.colorScheme)) {
+      throw new Error(`Unknown color scheme "${state.colorScheme}".`);
+    }
+    const diagonals = state.diagonals === undefined ? puzzle.diagonals : state.diagonals === true;
+    const target = new TorusPuzzle({ ...size, topology, diagonals });
+    const positions =
+      state.stickers === undefined
+        ? Object.fromEntries(target.stickers.map((sticker) => [sticker.id, { iu: sticker.iu, iv: sticker.iv }]))
+        : parseStickerCells(state.stickers, target);
+
+    restoreGame({
+      ...size,
+      topology,
+      diagonals,
+      colorScheme: state.colorScheme || colorScheme.id,
+      picture: pictureSource,
+      positions,
+      selected: typeof state.selected === "string" && positions[state.selected] ? state.selected : null,
+      camera: null,
+      session: {
+        scrambled: false,
+        seed: null,
+        elapsedMs: null,
+        running: false,
+        moveCount: 0,
+        hintsUsed: 0,
+        assisted: false,
+        scrambleMoves: [],
+        timeline: [],
+        daily: null,
+      },
+      history: { undo: [], redo: [] },
+    });
+    saveGame();
+  }
+
+  function setNetVisible(visible) {
+    netVisible = visible;
+    if (!visible && interactionState.netDrag) {
+      cancelRingDrag(true);
+    }
+    netPanel.hidden = !visible;
+    netBtn.setAttribute("aria-pressed", String(visible));
+    renderNetView();
+  }
+
+  function renderNetView() {
+    if (!netVisible) {
+      return;
+    }
+    netView.render({
+      board: puzzle.board,
+      uCells: puzzle.uCells,
+      vCells: puzzle.vCells,
+      colorForSticker: stickerColorHex,
+      image: pictureTexture ? pictureTexture.image : null,
+      selectedStickerId,
+      motion: netMotion(),
+      topology: puzzle.topology,
+      axes: puzzle.axes,
+      stickerMark: stickerMarkId,
+      ringIndexForSticker: (axis, sticker) => puzzle.ringIndexForSticker(axis, sticker),
+    });
+  }
+
+  function netMotion() {
+    const motion = getActiveRingMotion();
+    if (!motion) {
+      return null;
+    }
+    return {
+      axis: motion.axis,
+      rings: puzzle.wideRingIndices(motion.axis, motion.ringIndex, motion.width),
+      offsetCells: motion.offsetCells,
+    };
+  }
+
+  function refreshReplayButtons() {
+    watchReplayBtn.disabled = !lastReplay;
+  }
+
+  function blockedByReplay() {
+    if (!replayState) {
+      return false;
+    }
+    showStatusMessage("Close the replay to make moves.");
+    return true;
+  }
+
+  function startReplay(replay) {
+    endChallenge();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    if (!replayState) {
+      gameBeforeReplay = captureGame();
+    }
+    if (replay.uCells !== puzzle.uCells || replay.vCells !== puzzle.vCells) {
+      setGridSize(replay.uCells, replay.vCells);
+    }
+    setTopology(replay.topology);
+    setDiagonalMoves(replay.diagonals);
+    if (replay.colorScheme) {
+      setColorScheme(replay.colorScheme);
+    }
+    if (replay.picture !== pictureSource && (!replay.picture || getPicturePreset(replay.picture))) {
+      if (pictureSource === "file") {
+        filePictureBeforeReplay = pictureTexture;
+        pictureTexture = null;
+      }
+      selectPicturePreset(replay.picture);
+    }
+
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    selectedStickerId = null;
+    replayState = {
+      replay,
+      moveCount: 0,
+      clockMs: 0,
+      playing: false,
+      speed: Number(replaySpeedSelect.value) || 1,
+    };
+    replayScrubber.max = String(replay.moves.length);
+    replayBar.hidden = false;
+    togglePanel(statsPanel, statsBtn, false);
+    seekReplay(0);
+    showStatusMessage(`Replay loaded: ${replay.moves.length} moves in ${formatDuration(replay.durationMs)}.`);
+  }
+
+  function closeReplay() {
+    if (!replayState) {
+      return;
+    }
+    replayState = null;
+    gameBeforeReplay = null;
+    if (filePictureBeforeReplay) {
+      filePictureBeforeReplay.dispose();
+      filePictureBeforeReplay = null;
+    }
+    cancelQueuedMoves();
+    replayBar.hidden = true;
+  }
+
+  function leaveReplay() {
+    const game = gameBeforeReplay;
+    const filePicture = filePictureBeforeReplay;
+    filePictureBeforeReplay = null;
+    restoreGame(game);
+    if (filePicture) {
+      setPicture("file", filePicture);
+    }
+    saveGame();
+    showStatusMessage("Replay closed.");
+  }
+
+  function seekReplay(moveCount) {
+    const replay = replayState.replay;
+    cancelQueuedMoves();
+    replayState.moveCount = THREE.MathUtils.clamp(moveCount, 0, replay.moves.length);
+    replayState.clockMs = replayTimeAt(replay, replayState.moveCount);
+    puzzle.restoreStickerPositions(replayPositionsAt(replay, replayState.moveCount));
+    refreshHighlights();
+    refreshSolvedState(false);
+    refreshReplayControls();
+  }
+
+  function setReplayPlaying(playing) {
+    if (playing && replayState.moveCount >= replayState.replay.moves.length) {
+      seekReplay(0);
+    }
+    replayState.playing = playing;
+    refreshReplayControls();
+  }
+
+  function advanceReplay(dtMs) {
+    if (!replayState || !replayState.playing) {
+      return;
+    }
+
+    const { replay } = replayState;
+    replayState.clockMs = Math.min(replayState.clockMs + dtMs * replayState.speed, replay.durationMs);
+    while (
+      replayState.moveCount < replay.moves.length &&
+      replay.moves[replayState.moveCount].t <= replayState.clockMs
+    ) {
+      queueMove(replay.moves[replayState.moveCount].move, {
+        record: false,
+        counted: false,
+        celebrate: false,
+        speedFactor: 1 / replayState.speed,
+      });
+      replayState.moveCount += 1;
+    }
+    if (replayState.moveCount >= replay.moves.length) {
+      replayState.playing = false;
+    }
+    refreshReplayControls();
+  }
+
+  function refreshReplayControls() {
+    if (!replayState) {
+      return;
+    }
+
+    const total = replayState.replay.moves.length;
+    const playLabel = replayState.playing ? "Pause" : "Play";
+    if (replayPlayBtn.textContent !== playLabel) {
+      replayPlayBtn.textContent = playLabel;
+    }
+    if (replayScrubber.value !== String(replayState.moveCount)) {
+      replayScrubber.value = String(replayState.moveCount);
+    }
+    const positionLabel = `${replayState.moveCount} / ${total}`;
+    if (replayPositionText.textContent !== positionLabel) {
+      replayPositionText.textContent = positionLabel;
+    }
+  }
+
+  function exportReplay() {
+    const replay = replayState ? replayState.replay : lastReplay;
+    if (!replay) {
+      return;
+    }
+
+    const objectUrl = URL.createObjectURL(new Blob([serializeReplay(replay)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = objectUrl;
+    link.download = `twisty-torus-replay-${replay.seed || "solve"}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+    showStatusMessage("Replay exported.");
+  }
+
+  function importReplayFile(file) {
+    file
+      .text()
+      .then((text) => startReplay(parseReplay(text)))
+      .catch((error) => showStatusMessage(`Could not load replay: ${error.message}`));
+  }
+
+  function requestSolution() {
+    if (cachedSolution && cachedSolution.revision === puzzleRevision) {
+      return Promise.resolve(cachedSolution.moves);
+    }
+
+    const revision = puzzleRevision;
+    const snapshot = snapshotFromPuzzle(puzzle);
+    return runSolver(snapshot).then((moves) => {
+      if (revision !== puzzleRevision) {
+        return null;
+      }
+      cachedSolution = { revision, moves };
+      return moves;
+    });
+  }
+
+  function runSolver(snapshot) {
+    const worker = getSolverWorker();
+    if (!worker) {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          try {
+            resolve(solveSnapshot(snapshot));
+          } catch (error) {
+            reject(error);
+          }
+        }, 0);
+      });
+    }
+
+    solverRequestId += 1;
+    const requestId = solverRequestId;
+    return new Promise((resolve, reject) => {
+      pendingSolverRequests.set(requestId, { resolve, reject });
+      worker.postMessage({ requestId, snapshot });
+    });
+  }
+
+  function getSolverWorker() {
+    if (solverWorker || typeof Worker === "undefined") {
+      return solverWorker;
+    }
+
+    try {
+      solverWorker = new Worker(new URL("./solver-worker.js", import.meta.url), { type: "module" });
+    } catch (error) {
+      return null;
+    }
+
+    solverWorker.addEventListener("message", (event) => {
+      const { requestId, moves, error } = event.data;
+      const pending = pendingSolverRequests.get(requestId);
+      if (!pending) {
+        return;
+      }
+      pendingSolverRequests.delete(requestId);
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(moves);
+      }
+    });
+    solverWorker.addEventListener("error", () => {
+      for (const pending of pendingSolverRequests.values()) {
+        pending.reject(new Error("The solver stopped unexpectedly."));
+      }
+      pendingSolverRequests.clear();
+      solverWorker.terminate();
+      solverWorker = null;
+    });
+    return solverWorker;
+  }
+
+  function isNextSolutionMove(move) {
+    if (!cachedSolution || cachedSolution.revision !== puzzleRevision || cachedSolution.moves.length === 0) {
+      return false;
+    }
+    const next = cachedSolution.moves[0];
+    return (
+      next.axis === move.axis &&
+      next.ringIndex === move.ringIndex &&
+      next.steps === move.steps &&
+      moveWidth(next) === moveWidth(move)
+    );
+  }
+
+  function showNextHint() {
+    if (blockedByReplay()) {
+      return;
+    }
+    stopSolutionPlayback();
+    moveQueue.flush();
+    if (puzzleSolved) {
+      showStatusMessage("Already solved.");
+      return;
+    }
+
+    showStatusMessage("Thinking…");
+    requestSolution().then(
+      (moves) => {
+        if (!moves) {
+          showStatusMessage("The board changed while the solver was thinking. Press Hint again.");
+          return;
+        }
+        if (moves.length === 0) {
+          showStatusMessage("Already solved.");
+          return;
+        }
+        showHint(moves[0]);
+        solveSession.hintsUsed += 1;
+        showStatusMessage(`Hint: ${formatMoves([moves[0]])} (${moves.length} moves left in this solution).`);
+      },
+      (error) => showStatusMessage(error.message)
+    );
+  }
+
+  function solveWithPlayback() {
+    if (blockedByReplay()) {
+      return;
+    }
+    if (solutionPlayback) {
+      stopSolutionPlayback();
+      showStatusMessage("Solver stopped.");
+      return;
+    }
+    if (puzzleSolved) {
+      showStatusMessage("Already solved.");
+      return;
+    }
+
+    cancelRingDrag(true);
+    moveQueue.flush();
+    showStatusMessage("Thinking…");
+    requestSolution().then(
+      (moves) => {
+        // Moves queued while the solver was thinking have not landed yet, so the
+        // solution would be played on top of them.
+        if (!moves || moveQueue.busy) {
+          showStatusMessage("The board changed while the solver was thinking. Press Solve again.");
+        } else if (moves.length === 0) {
+          showStatusMessage("Already solved.");
+        } else {
+          startSolutionPlayback(moves);
+        }
+      },
+      (error) => showStatusMessage(error.message)
+    );
+  }
+
+  function startSolutionPlayback(moves) {
+    solutionPlayback = { total: moves.length };
+    showStatusMessage(`Playing solution (${moves.length} moves)…`);
+    refreshSolverButtons();
+    moves.forEach((move, index) => {
+      queueMove(move, {
+        celebrate: false,
+        speedFactor: SOLVE_PLAYBACK_SPEED_FACTOR,
+        onCommit: index === moves.length - 1 ? finishSolutionPlayback : null,
+      });
+    });
+  }
+
+  function finishSolutionPlayback() {
+    const total = solutionPlayback ? solutionPlayback.total : 0;
+    stopSolutionPlayback();
+    showStatusMessage(`Solver finished in ${total} moves.`);
+  }
+
+  function stopSolutionPlayback() {
+    if (!solutionPlayback) {
+      return;
+    }
+    moveQueue.clear();
+    solutionPlayback = null;
+    refreshSolverButtons();
+  }
+
+  function refreshSolverButtons() {
+    const supported = puzzle.topology.id === DEFAULT_TOPOLOGY_ID && !challenge;
+    let title = supported ? "" : "The solver only handles the plain torus.";
+    if (challenge) {
+      title = "The solver aims for the solved board, not a challenge pattern.";
+    }
+    for (const button of [hintBtn, solveBtn]) {
+      button.disabled = !supported;
+      button.title = title;
+    }
+    solveBtn.textContent = solutionPlayback ? "Stop" : "Solve";
+  }
+
+  // A longitudinal ring that crosses the seam into other rows takes several turns in u
+  // before it closes, so the curve runs over all of them.
+  class TorusRingCurve extends THREE.Curve {
+    constructor(axis, ringIndex) {
+      super();
+      this.axis = axis;
+      this.ringIndex = ringIndex;
+      this.turns = axis === "meridional" ? 1 : puzzle.ringLength(axis, ringIndex) / puzzle.uCells;
+    }
+
+    getPoint(t, target = new THREE.Vector3()) {
+      const angle = t * Math.PI * 2 * this.turns;
+      const u = this.axis === "meridional" ? (this.ringIndex + 0.5) * grid.du : angle;
+      const v = this.axis === "meridional" ? angle : (this.ringIndex + 0.5) * grid.dv;
+      const positions = [0, 0, 0];
+      writeSurfacePointLifted(positions, 0, u, v, HINT_LIFT);
+      return target.set(positions[0], positions[1], positions[2]);
+    }
+  }
+
+  function showHint(move) {
+    clearHint();
+
+    const material = new THREE.MeshBasicMaterial({
+      color: HINT_COLOR,
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false,
+      toneMapped: false,
+    });
+    const curve = new TorusRingCurve(move.axis, move.ringIndex);
+    const tube = new THREE.Mesh(new THREE.TubeGeometry(curve, 128 * curve.turns, HINT_TUBE_RADIUS, 8, true), material);
+    tube.renderOrder = 4;
+    hintGroup.add(tube);
+
+    const arrowGeometry = new THREE.ConeGeometry(HINT_TUBE_RADIUS * 3, HINT_TUBE_RADIUS * 7, 12);
+    const direction = Math.sign(move.steps);
+    const arrowCount = HINT_ARROW_COUNT * curve.turns;
+    for (let index = 0; index < arrowCount; index += 1) {
+      const t = (index + 0.5) / arrowCount;
+      const arrow = new THREE.Mesh(arrowGeometry, material);
+      arrow.position.copy(curve.getPoint(t));
+      arrow.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        curve.getTangent(t).multiplyScalar(direction).normalize()
+      );
+      arrow.renderOrder = 4;
+      hintGroup.add(arrow);
+    }
+  }
+
+  function clearHint() {
+    const disposed = new Set();
+    for (const child of hintGroup.children) {
+      for (const resource of [child.geometry, child.material]) {
+        if (!disposed.has(resource)) {
+          disposed.add(resource);
+          resource.dispose();
+        }
+      }
+    }
+    hintGroup.clear();
+  }
+
+  function updateHintPulse(nowMs) {
+    if (hintGroup.children.length === 0) {
+      return;
+    }
+    hintGroup.children[0].material.opacity = 0.6 + 0.3 * Math.sin(nowMs / 180);
+  }
+
+  function celebrateSolve() {
+    const moveCount = solveSession.moveCount;
+    const moveLabel = moveCount === 1 ? "in 1 move" : `in ${moveCount} moves`;
+    showSolvedOverlay(
+      "Solved!",
+      solveSession.startMs === null ? moveLabel : `${moveLabel} · ${formatDuration(sessionElapsedMs())}`
+    );
+  }
+
+  function showSolvedOverlay(title, detail) {
+    solvedTitle.textContent = title;
+    solvedDetail.textContent = detail;
+    solvedOverlay.hidden = false;
+    clearTimeout(solvedOverlayTimer);
+    solvedOverlayTimer = setTimeout(hideSolvedOverlay, SOLVED_OVERLAY_MS);
+    solvedSpinStartMs = performance.now();
+  }
+
+  function hideSolvedOverlay() {
+    clearTimeout(solvedOverlayTimer);
+    solvedOverlay.hidden = true;
+  }
+
+  function updateSolvedSpin(nowMs) {
+    if (solvedSpinStartMs === null) {
+      return;
+    }
+
+    const t = THREE.MathUtils.clamp((nowMs - solvedSpinStartMs) / SOLVED_SPIN_MS, 0, 1);
+    torusGroup.rotation.z = easeInOutCubic(t) * Math.PI * 2;
+    if (t >= 1) {
+      torusGroup.rotation.z = 0;
+      solvedSpinStartMs = null;
+    }
+  }
+
+  function copyMovesToClipboard() {
+    const text = formatMoves(moveHistory.undoStack);
+    if (!text) {
+      showStatusMessage("No moves to copy yet.");
+      return;
+    }
+
+    const fallback = () => {
+      moveInput.value = text;
+      moveInput.select();
+      showStatusMessage("Moves placed in the move box; copy them from there.");
+    };
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      fallback();
+      return;
+    }
+
+    navigator.clipboard.writeText(text).then(() => showStatusMessage("Moves copied to clipboard."), fallback);
+  }
+
+  function refreshHistoryButtons() {
+    undoBtn.disabled = !moveHistory.canUndo;
+    redoBtn.disabled = !moveHistory.canRedo;
+  }
+
+  // Same convention as OrbitControls' own rotateLeft/rotateUp, which three r161 keeps
+  // private: spin around camera.up, then tilt within the controls' polar limits.
+  function orbitCameraByPixels(deltaX, deltaY, sensitivity) {
+    const toYUp = new THREE.Quaternion().setFromUnitVectors(camera.up, new THREE.Vector3(0, 1, 0));
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target).applyQuaternion(toYUp);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta -= deltaX * sensitivity;
+    spherical.phi = THREE.MathUtils.clamp(
+      spherical.phi - deltaY * sensitivity,
+      controls.minPolarAngle,
+      controls.maxPolarAngle
+    );
+    spherical.makeSafe();
+    offset.setFromSpherical(spherical).applyQuaternion(toYUp.invert());
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+  }
+
+  function getTouchCentroid() {
+    const points = Array.from(interactionState.activePointers.values());
+    if (points.length < 2) {
+      return null;
+    }
+    return {
+      x: (points[0].x + points[1].x) * 0.5,
+      y: (points[0].y + points[1].y) * 0.5,
+    };
+  }
+
+  function updateInteractionMode() {
+    if (interactionState.ringDrag) {
+      interactionState.mode = "ring_drag";
+      return;
+    }
+    if (interactionState.netDrag) {
+      interactionState.mode = "net_drag";
+      return;
+    }
+
+    const orbitRecent = performance.now() - interactionState.orbitLastInputMs < 120;
+    if (interactionState.mouseOrbitActive || interactionState.activePointers.size >= 2 || orbitRecent) {
+      interactionState.mode = "orbit";
+      return;
+    }
+
+    interactionState.mode = "idle";
+  }
+
+  function startRingDrag(pointerId, pointerType, clientX, clientY, sticker) {
+    if (!sticker || replayState) {
+      return;
+    }
+
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    moveQueue.flush();
+    interactionState.ignoreNextClick = true;
+    const wasSelectedOnDown = selectedStickerId === sticker.id;
+    setSelectedStickerExplicit(sticker.id);
+
+    interactionState.ringDrag = {
+      pointerId,
+      pointerType,
+      anchorStickerId: sticker.id,
+      wasSelectedOnDown,
+      startX: clientX,
+      startY: clientY,
+      lastX: clientX,
+      lastY: clientY,
+      axis: null,
+      ringIndex: null,
+      width: 1,
+      movingStickers: null,
+      offsetCells: 0,
+      lastStepUnitX: 0,
+      lastStepUnitY: 0,
+      lastStepLen: 0,
+    };
+    updateInteractionMode();
+  }
+
+  function cancelRingDrag(revertVisuals) {
+    const drag = interactionState.ringDrag || interactionState.netDrag;
+    if (!drag) {
+      return;
+    }
+    if (revertVisuals) {
+      clearRingVisual(drag.movingStickers);
+    }
+    interactionState.ringDrag = null;
+    interactionState.netDrag = null;
+    netView.cancelDrag();
+    updateInteractionMode();
+  }
+
+  function startNetDrag({ iu, iv, axis, ringIndex, shiftKey }) {
+    if (blockedByReplay()) {
+      return false;
+    }
+
+    stopSolutionPlayback();
+    cancelRingDrag(true);
+    moveQueue.flush();
+    setSelectedStickerExplicit(puzzle.stickerAt(iu, iv).id);
+    const width = currentTurnWidth(axis, shiftKey);
+    interactionState.netDrag = {
+      axis,
+      ringIndex,
+      width,
+      offsetCells: 0,
+      movingStickers: puzzle.getRingStickers(axis, ringIndex, width),
+    };
+    updateInteractionMode();
+    return true;
+  }
+
+  function updateNetDrag(offsetCells) {
+    const netDrag = interactionState.netDrag;
+    if (!netDrag) {
+      return;
+    }
+    netDrag.offsetCells = offsetCells;
+    setRingVisualOffset(netDrag.axis, netDrag.movingStickers, offsetCells);
+  }
+
+  function finishNetDrag(offsetCells) {
+    const netDrag = interactionState.netDrag;
+    if (!netDrag) {
+      return;
+    }
+
+    interactionState.netDrag = null;
+    queueMove(
+      copyMove({ ...netDrag, steps: Math.round(offsetCells) }),
+      { fromOffset: offsetCells }
+    );
+    updateInteractionMode();
+    refreshHighlights();
+    refreshStatusText();
+  }
+
+  function finishRingDrag(clientX, clientY) {
+    const ringDrag = interactionState.ringDrag;
+    if (!ringDrag) {
+      return;
+    }
+
+    const totalMove = Math.hypot(clientX - ringDrag.startX, clientY - ringDrag.startY);
+    if (!ringDrag.axis || totalMove < DRAG_DEADZONE_PX) {
+      clearRingVisual(ringDrag.movingStickers);
+      interactionState.ringDrag = null;
+      if (ringDrag.wasSelectedOnDown) {
+        setSelectedStickerExplicit(null);
+      } else {
+        setSelectedStickerExplicit(ringDrag.anchorStickerId);
+      }
+      updateInteractionMode();
+      return;
+    }
+
+    interactionState.ringDrag = null;
+    queueMove(
+      copyMove({ ...ringDrag, steps: Math.round(ringDrag.offsetCells) }),
+      { fromOffset: ringDrag.offsetCells }
+    );
+    updateInteractionMode();
+    refreshHighlights();
+    refreshStatusText();
+  }
+
+  function updateRingDragFromPointer(clientX, clientY, shiftKey = false) {
+    const ringDrag = interactionState.ringDrag;
+    if (!ringDrag) {
+      return;
+    }
+
+    const dx = clientX - ringDrag.lastX;
+    const dy = clientY - ringDrag.lastY;
+    const totalDx = clientX - ringDrag.startX;
+    const totalDy = clientY - ringDrag.startY;
+    ringDrag.lastX = clientX;
+    ringDrag.lastY = clientY;
+
+    const anchorSticker = puzzle.stickerById.get(ringDrag.anchorStickerId);
+    if (!anchorSticker) {
+      cancelRingDrag(true);
+      return;
+    }
+
+    if (!ringDrag.axis) {
+      if (Math.hypot(totalDx, totalDy) < DRAG_DEADZONE_PX) {
+        return;
+      }
+      ringDrag.axis = chooseDragAxisForRingDrag(anchorSticker, totalDx, totalDy);
+      if (!ringDrag.axis) {
+        return;
+      }
+      ringDrag.ringIndex = puzzle.ringIndexForSticker(ringDrag.axis, anchorSticker);
+      ringDrag.width = currentTurnWidth(ringDrag.axis, shiftKey);
+      ringDrag.movingStickers = puzzle.getRingStickers(ringDrag.axis, ringDrag.ringIndex, ringDrag.width);
+      refreshStatusText();
+    }
+
+    const stepVector = getProjectedStepVectorForSticker(anchorSticker, ringDrag.axis, ringDrag.offsetCells);
+    const stepLen = Math.hypot(stepVector.x, stepVector.y);
+
+    if (stepLen >= MIN_STEP_PROJECTION_PX) {
+      ringDrag.lastStepUnitX = stepVector.x / stepLen;
+      ringDrag.lastStepUnitY = stepVector.y / stepLen;
+      ringDrag.lastStepLen = stepLen;
+    }
+
+    if (ringDrag.lastStepLen < MIN_STEP_PROJECTION_PX) {
+      return;
+    }
+
+    const projectedDeltaPx = dx * ringDrag.lastStepUnitX + dy * ringDrag.lastStepUnitY;
+    ringDrag.offsetCells += projectedDeltaPx / ringDrag.lastStepLen;
+    setRingVisualOffset(ringDrag.axis, ringDrag.movingStickers, ringDrag.offsetCells);
+  }
+
+  function installHandlers() {
+    renderer.domElement.addEventListener("click", onCanvasClick);
+    renderer.domElement.addEventListener("contextmenu", (event) => event.preventDefault());
+    renderer.domElement.addEventListener("wheel", onCanvasWheel, { passive: false });
+    renderer.domElement.addEventListener("pointerdown", onCanvasPointerDown);
+    renderer.domElement.addEventListener("pointermove", onCanvasPointerMove);
+    renderer.domElement.addEventListener("pointerup", onCanvasPointerUpOrCancel);
+    renderer.domElement.addEventListener("pointercancel", onCanvasPointerUpOrCancel);
+
+    keyTarget.addEventListener("keydown", onKeyDown, { signal: globalListeners.signal });
+
+    resetBtn.addEventListener("click", () => {
+      resetPuzzle();
+    });
+
+    scrambleBtn.addEventListener("click", () => {
+      scramblePuzzle(generateSeed(), animateScramble);
+    });
+
+    dailyBtn.addEventListener("click", () => {
+      startDaily();
+    });
+
+    netBtn.addEventListener("click", () => {
+      setNetVisible(!netVisible);
+    });
+
+    statsBtn.addEventListener("click", () => {
+      togglePanel(statsPanel, statsBtn);
+    });
+
+    challengeBtn.addEventListener("click", () => {
+      togglePanel(challengePanel, challengeBtn);
+    });
+
+    patternSelect.addEventListener("change", () => {
+      refreshPatternDescription();
+    });
+
+    analysisBtn.addEventListener("click", () => {
+      togglePanel(analysisPanel, analysisBtn);
+    });
+
+    orderForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      showSequenceOrder(orderInput.value);
+    });
+
+    raceBtn.addEventListener("click", () => {
+      togglePanel(racePanel, raceBtn);
+    });
+
+    raceJoinBtn.addEventListener("click", () => {
+      if (race) {
+        leaveRace();
+      } else {
+        joinRace();
+      }
+    });
+
+    raceStartBtn.addEventListener("click", () => {
+      if (race && !race.client.startRace(puzzle.uCells, puzzle.vCells)) {
+        showStatusMessage("Not connected to the race relay.");
+      }
+    });
+
+    challengeStartBtn.addEventListener("click", () => {
+      togglePanel(challengePanel, challengeBtn, false);
+      startChallenge(patternSelect.value);
+    });
+
+    leaveChallengeBtn.addEventListener("click", () => {
+      endChallenge();
+      refreshSolvedState(false);
+      saveGame();
+    });
+
+    copyDailyBtn.addEventListener("click", () => {
+      copyDailyResult();
+    });
+
+    clearStatsBtn.addEventListener("click", () => {
+      clearStats();
+    });
+
+    watchReplayBtn.addEventListener("click", () => {
+      if (lastReplay) {
+        startReplay(lastReplay);
+      }
+    });
+
+    importReplayBtn.addEventListener("click", () => {
+      replayFileInput.click();
+    });
+
+    replayFileInput.addEventListener("change", () => {
+      const file = replayFileInput.files && replayFileInput.files[0];
+      replayFileInput.value = "";
+      if (file) {
+        importReplayFile(file);
+      }
+    });
+
+    replayPlayBtn.addEventListener("click", () => {
+      setReplayPlaying(!replayState.playing);
+    });
+
+    replayScrubber.addEventListener("input", () => {
+      seekReplay(Number(replayScrubber.value));
+    });
+
+    replaySpeedSelect.addEventListener("change", () => {
+      if (replayState) {
+        replayState.speed = Number(replaySpeedSelect.value) || 1;
+      }
+    });
+
+    replayExportBtn.addEventListener("click", () => {
+      exportReplay();
+    });
+
+    replayCloseBtn.addEventListener("click", () => {
+      leaveReplay();
+    });
+
+    resumeBtn.addEventListener("click", () => {
+      answerResumePrompt(true);
+    });
+
+    newGameBtn.addEventListener("click", () => {
+      answerResumePrompt(false);
+    });
+
+    window.addEventListener("pagehide", () => saveGame(), { signal: globalListeners.signal });
+
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.visibilityState === "hidden") {
+          saveGame();
+        }
+      },
+      { signal: globalListeners.signal }
+    );
+
+    hintBtn.addEventListener("click", () => {
+      showNextHint();
+    });
+
+    solveBtn.addEventListener("click", () => {
+      solveWithPlayback();
+    });
+
+    seedBtn.addEventListener("click", () => {
+      copyScrambleLink();
+    });
+
+    settingsBtn.addEventListener("click", () => {
+      togglePanel(settingsPanel, settingsBtn);
+    });
+
+    pictureSelect.addEventListener("change", () => {
+      if (pictureSelect.value === "file") {
+        pictureSelect.value = pictureSource || "";
+        pictureFileInput.click();
+        return;
+      }
+      selectPicturePreset(pictureSelect.value);
+    });
+
+    pictureFileInput.addEventListener("change", () => {
+      const file = pictureFileInput.files && pictureFileInput.files[0];
+      pictureFileInput.value = "";
+      if (file) {
+        loadPictureFile(file);
+      }
+    });
+
+    colorSchemeSelect.addEventListener("change", () => {
+      setColorScheme(colorSchemeSelect.value);
+    });
+
+    paletteSelect.addEventListener("change", () => {
+      setPalette(paletteSelect.value);
+    });
+
+    stickerMarksSelect.addEventListener("change", () => {
+      setStickerMarks(stickerMarksSelect.value);
+    });
+
+    animationSpeedSelect.addEventListener("change", () => {
+      if (animationSpeedSelect.value in ANIMATION_SPEED_FACTORS) {
+        animationSpeed = animationSpeedSelect.value;
+      }
+    });
+
+    turnWidthSelect.addEventListener("change", () => {
+      turnWidth = Number(turnWidthSelect.value) || 1;
+    });
+
+    animateScrambleInput.addEventListener("change", () => {
+      animateScramble = animateScrambleInput.checked;
+    });
+
+    topologySelect.addEventListener("change", () => {
+      setTopology(topologySelect.value);
+    });
+
+    diagonalsInput.addEventListener("change", () => {
+      setDiagonalMoves(diagonalsInput.checked);
+    });
+
+    gridSizeSelect.addEventListener("change", () => {
+      const size = parseGridSize(gridSizeSelect.value);
+      if (size) {
+        setGridSize(size.uCells, size.vCells);
+      }
+    });
+
+    undoBtn.addEventListener("click", () => {
+      undoMove();
+    });
+
+    redoBtn.addEventListener("click", () => {
+      redoMove();
+    });
+
+    moveForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      if (runMoveSequence(moveInput.value)) {
+        moveInput.value = "";
+      }
+    });
+
+    copyMovesBtn.addEventListener("click", () => {
+      copyMovesToClipboard();
+    });
+  }
+
+  // Keyboard-only play: W/A/S/D move the selection, Q/E and R/F orbit the camera and
+  // Escape clears the selection. These keys may auto-repeat.
+  function handleNavigationKey(key) {
+    const lowerKey = key.toLowerCase();
+    if (CURSOR_KEYS[lowerKey]) {
+      moveSelectionCursor(...CURSOR_KEYS[lowerKey]);
+      return true;
+    }
+    if (ORBIT_KEYS[lowerKey]) {
+      const [left, up] = ORBIT_KEYS[lowerKey];
+      orbitCameraByPixels(left, up, KEY_ORBIT_ANGLE);
+      return true;
+    }
+    if (key === "Escape" && selectedStickerId) {
+      setSelectedStickerExplicit(null);
+      return true;
+    }
+    return false;
+  }
+
+  function onKeyDown(event) {
+    // The first path entry is the real target even when the event left a shadow root.
+    if (isTextEntryTarget(event.composedPath()[0])) {
+      return;
+    }
+    if (!event.ctrlKey && !event.metaKey && !event.altKey && handleNavigationKey(event.key)) {
+      event.preventDefault();
+      return;
+    }
+    if (event.repeat) {
+      return;
+    }
+
+    const key = event.key;
+    const isUndoKey = key === "z" || key === "Z" || key === "y" || key === "Y";
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && isUndoKey) {
+      event.preventDefault();
+      if (key === "y" || key === "Y" || event.shiftKey) {
+        redoMove();
+      } else {
+        undoMove();
+      }
+      return;
+    }
+
+    if (!["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(key)) {
+      return;
+    }
+    if (!selectedStickerId) {
+      return;
+    }
+
+    event.preventDefault();
+    if (key === "ArrowUp") {
+      applyDiscreteMoveForAnchor("meridional", 1, selectedStickerId, event.shiftKey);
+    } else if (key === "ArrowDown") {
+      applyDiscreteMoveForAnchor("meridional", -1, selectedStickerId, event.shiftKey);
+    } else if (key === "ArrowRight") {
+      applyDiscreteMoveForAnchor("longitudinal", 1, selectedStickerId, event.shiftKey);
+    } else if (key === "ArrowLeft") {
+      applyDiscreteMoveForAnchor("longitudinal", -1, selectedStickerId, event.shiftKey);
+    }
+  }
+
+  function isTextEntryTarget(target) {
+    return Boolean(target && target.closest && target.closest("input, textarea, select, [contenteditable='true']"));
+  }
+
+  function onCanvasClick(event) {
+    if (interactionState.ignoreNextClick) {
+      interactionState.ignoreNextClick = false;
+      return;
+    }
+
+    const sticker = pickStickerAtClient(event.clientX, event.clientY);
+    if (!sticker) {
+      return;
+    }
+    toggleSelectedSticker(sticker.id);
+  }
+
+  function onCanvasPointerDown(event) {
+    if (event.pointerType === "mouse") {
+      if (event.button === 2) {
+        interactionState.mouseOrbitActive = true;
+        interactionState.orbitLastInputMs = performance.now();
+        updateInteractionMode();
+        return;
+      }
+
+      if (event.button !== 0) {
+        return;
+      }
+
+      const sticker = pickStickerAtClient(event.clientX, event.clientY);
+      if (!sticker) {
+        return;
+      }
+
+      event.preventDefault();
+      if (renderer.domElement.setPointerCapture) {
+        renderer.domElement.setPointerCapture(event.pointerId);
+      }
+      startRingDrag(event.pointerId, "mouse", event.clientX, event.clientY, sticker);
+      return;
+    }
+
+    if (event.pointerType !== "touch") {
+      return;
+    }
+
+    event.preventDefault();
+    interactionState.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    controls.enabled = false;
+
+    if (interactionState.activePointers.size >= 2) {
+      cancelRingDrag(true);
+      interactionState.orbitPrevCentroid = getTouchCentroid();
+      interactionState.orbitLastInputMs = performance.now();
+      updateInteractionMode();
+      return;
+    }
+
+    const sticker = pickStickerAtClient(event.clientX, event.clientY);
+    if (sticker) {
+      startRingDrag(event.pointerId, "touch", event.clientX, event.clientY, sticker);
+    } else {
+      updateInteractionMode();
+    }
+  }
+
+  function onCanvasPointerMove(event) {
+    if (event.pointerType === "touch") {
+      if (!interactionState.activePointers.has(event.pointerId)) {
+        return;
+      }
+
+      event.preventDefault();
+      interactionState.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+      if (interactionState.activePointers.size >= 2) {
+        cancelRingDrag(true);
+        const centroid = getTouchCentroid();
+        if (centroid && interactionState.orbitPrevCentroid) {
+          orbitCameraByPixels(
+            centroid.x - interactionState.orbitPrevCentroid.x,
+            centroid.y - interactionState.orbitPrevCentroid.y,
+            TOUCH_ORBIT_SENSITIVITY
+          );
+        }
+        interactionState.orbitPrevCentroid = centroid;
+        interactionState.orbitLastInputMs = performance.now();
+        updateInteractionMode();
+        return;
+      }
+
+      if (interactionState.ringDrag && interactionState.ringDrag.pointerId === event.pointerId) {
+        updateRingDragFromPointer(event.clientX, event.clientY, event.shiftKey);
+      }
+      return;
+    }
+
+    const ringDrag = interactionState.ringDrag;
+    if (event.pointerType === "mouse" && ringDrag && ringDrag.pointerId === event.pointerId) {
+      if ((event.buttons & 1) === 0) {
+        finishRingDrag(event.clientX, event.clientY);
+        return;
+      }
+
+      event.preventDefault();
+      updateRingDragFromPointer(event.clientX, event.clientY, event.shiftKey);
+    }
+  }
+
+  function onCanvasPointerUpOrCancel(event) {
+    if (event.pointerType === "mouse") {
+      if (event.button === 2) {
+        interactionState.mouseOrbitActive = false;
+        updateInteractionMode();
+        return;
+      }
+
+      if (event.button === 0 && interactionState.ringDrag && interactionState.ringDrag.pointerId === event.pointerId) {
+        finishRingDrag(event.clientX, event.clientY);
+      }
+      return;
+    }
+
+    if (event.pointerType !== "touch") {
+      return;
+    }
+
+    if (interactionState.ringDrag && interactionState.ringDrag.pointerId === event.pointerId) {
+      finishRingDrag(event.clientX, event.clientY);
+    }
+
+    interactionState.activePointers.delete(event.pointerId);
+    if (interactionState.activePointers.size >= 2) {
+      interactionState.orbitPrevCentroid = getTouchCentroid();
+      interactionState.orbitLastInputMs = performance.now();
+    } else {
+      interactionState.orbitPrevCentroid = null;
+    }
+
+    if (interactionState.activePointers.size === 0) {
+      controls.enabled = true;
+    }
+    updateInteractionMode();
+  }
+
+  function onCanvasWheel(event) {
+    if (interactionState.ringDrag) {
+      return;
+    }
+
+    event.preventDefault();
+    orbitCameraByPixels(event.deltaX, event.deltaY, TRACKPAD_ORBIT_SENSITIVITY);
+    interactionState.orbitLastInputMs = performance.now();
+    updateInteractionMode();
+  }
+
+  function resetPuzzle() {
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    interactionState.activePointers.clear();
+    interactionState.mouseOrbitActive = false;
+    interactionState.orbitPrevCentroid = null;
+    interactionState.ignoreNextClick = false;
+    controls.enabled = true;
+    updateInteractionMode();
+
+    endChallenge();
+    puzzle.reset();
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    selectedStickerId = null;
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    saveGame();
+    api.emit("reset", {});
+  }
+
+  function scramblePuzzle(seed, animate = false) {
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    interactionState.activePointers.clear();
+    interactionState.mouseOrbitActive = false;
+    interactionState.orbitPrevCentroid = null;
+    controls.enabled = true;
+    updateInteractionMode();
+
+    endChallenge();
+    puzzle.reset();
+    const moves = puzzle.scrambleMoves(SCRAMBLE_MOVE_COUNT, createSeededRandom(seed));
+    if (animate) {
+      for (const move of moves) {
+        queueMove(move, { record: false, counted: false, celebrate: false, speedFactor: SCRAMBLE_SPEED_FACTOR });
+      }
+    } else {
+      puzzle.applyMoves(moves);
+    }
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(true, seed, moves);
+    setScrambleSeed(seed);
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    saveGame();
+    api.emit("scramble", { seed, moves: formatMoves(moves) });
+  }
+
+  function setScrambleSeed(seed) {
+    scrambleSeed = seed;
+    setUrlParam("seed", seed);
+
+    seedBtn.hidden = !seed;
+    seedBtn.textContent = seed ? `Seed: ${seed}` : "";
+  }
+
+  function setUrlParam(name, value) {
+    if (!syncUrl) {
+      return;
+    }
+    const url = new URL(window.location.href);
+    if (value) {
+      url.searchParams.set(name, value);
+    } else {
+      url.searchParams.delete(name);
+    }
+    window.history.replaceState(window.history.state, "", url);
+  }
+
+  function setGridSize(uCells, vCells) {
+    if (uCells === puzzle.uCells && vCells === puzzle.vCells) {
+      return;
+    }
+
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+    interactionState.activePointers.clear();
+    interactionState.mouseOrbitActive = false;
+    interactionState.orbitPrevCentroid = null;
+    controls.enabled = true;
+    updateInteractionMode();
+
+    endChallenge();
+    const topologyId = puzzle.topology.id;
+    puzzle.resize(uCells, vCells);
+    if (puzzle.topology.id !== topologyId) {
+      // The new grid cannot carry the old gluing; resize() fell back to the plain torus.
+      setUrlParam("topology", null);
+      refreshSolverButtons();
+      showStatusMessage(`${getTopology(topologyId).label} needs an even number of rows, at least 4.`);
+    }
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    const isDefault = uCells === DEFAULT_U_CELLS && vCells === DEFAULT_V_CELLS;
+    setUrlParam("grid", isDefault ? null : formatGridSize(uCells, vCells));
+    selectedStickerId = null;
+    refreshGridSizeSelect();
+    refreshTopologySelect();
+    refreshDiagonalsInput();
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    refreshStatsPanel();
+    saveGame();
+  }
+
+  // Switching the gluing starts a fresh, solved puzzle on the same grid, like a grid change.
+  function setTopology(id) {
+    const topology = getTopology(id);
+    if (id === puzzle.topology.id || !topology) {
+      return;
+    }
+    if (!topologySupportsGrid(topology, puzzle.vCells)) {
+      showStatusMessage(`${topology.label} needs an even number of rows, at least 4.`);
+      refreshTopologySelect();
+      return;
+    }
+
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+
+    endChallenge();
+    puzzle.setTopology(id);
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    setUrlParam("topology", id === DEFAULT_TOPOLOGY_ID ? null : id);
+    setUrlParam("diagonals", puzzle.diagonals ? "1" : null);
+    selectedStickerId = null;
+    refreshTopologySelect();
+    refreshDiagonalsInput();
+    refreshSolverButtons();
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    refreshStatsPanel();
+    saveGame();
+  }
+
+  // Diagonal moves change which positions are reachable, so toggling them also starts a
+  // fresh, solved puzzle. They only exist on the plain torus.
+  function setDiagonalMoves(enabled) {
+    const diagonals = Boolean(enabled) && puzzle.topology.id === DEFAULT_TOPOLOGY_ID;
+    if (diagonals === puzzle.diagonals) {
+      refreshDiagonalsInput();
+      return;
+    }
+
+    closeReplay();
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    cancelRingDrag(true);
+
+    endChallenge();
+    puzzle.setDiagonals(diagonals);
+    puzzle.reset();
+    moveHistory.clear();
+    refreshHistoryButtons();
+    solveSession = createSolveSession(false, null);
+    setScrambleSeed(null);
+    setUrlParam("diagonals", diagonals ? "1" : null);
+    refreshDiagonalsInput();
+    refreshHighlights();
+    refreshStatusText();
+    refreshSolvedState(false);
+    refreshStatsPanel();
+    saveGame();
+  }
+
+  function refreshDiagonalsInput() {
+    const supported = puzzle.topology.id === DEFAULT_TOPOLOGY_ID;
+    diagonalsInput.checked = puzzle.diagonals;
+    diagonalsInput.disabled = !supported;
+    diagonalsInput.title = supported ? "" : "Diagonal moves only exist on the plain torus.";
+  }
+
+  function populateTopologySelect() {
+    topologySelect.replaceChildren(
+      ...TOPOLOGIES.map((topology) => {
+        const option = document.createElement("option");
+        option.value = topology.id;
+        option.textContent = topology.label;
+        return option;
+      })
+    );
+    refreshTopologySelect();
+  }
+
+  // Gluings the current grid cannot carry are listed but disabled.
+  function refreshTopologySelect() {
+    for (const option of topologySelect.options) {
+      option.disabled = !topologySupportsGrid(getTopology(option.value), puzzle.vCells);
+    }
+    topologySelect.value = puzzle.topology.id;
+  }
+
+  function refreshGridSizeSelect() {
+    const value = formatGridSize(puzzle.uCells, puzzle.vCells);
+    if (!Array.from(gridSizeSelect.options).some((option) => option.value === value)) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = `${puzzle.uCells} × ${puzzle.vCells}`;
+      gridSizeSelect.append(option);
+    }
+    gridSizeSelect.value = value;
+  }
+
+  function populateColorSchemeSelect() {
+    colorSchemeSelect.replaceChildren(
+      ...COLOR_SCHEMES.map((scheme) => {
+        const option = document.createElement("option");
+        option.value = scheme.id;
+        option.textContent = scheme.label;
+        return option;
+      })
+    );
+    colorSchemeSelect.value = colorScheme.id;
+  }
+
+  function populatePaletteSelect() {
+    paletteSelect.replaceChildren(
+      ...PALETTES.map((entry) => {
+        const option = document.createElement("option");
+        option.value = entry.id;
+        option.textContent = entry.label;
+        return option;
+      })
+    );
+    paletteSelect.value = palette.id;
+  }
+
+  function populateStickerMarksSelect() {
+    stickerMarksSelect.replaceChildren(
+      ...STICKER_MARKS.map((mark) => {
+        const option = document.createElement("option");
+        option.value = mark.id;
+        option.textContent = mark.label;
+        return option;
+      })
+    );
+    stickerMarksSelect.value = stickerMarkId;
+  }
+
+  // Palette and marks only change how stickers look, so the game carries on untouched.
+  function setPalette(paletteId) {
+    const nextPalette = getPalette(paletteId);
+    if (!nextPalette || nextPalette === palette) {
+      return;
+    }
+
+    palette = nextPalette;
+    for (const sticker of puzzle.stickers) {
+      applyStickerMaterial(sticker);
+    }
+    paletteSelect.value = palette.id;
+    saveDisplayPreferences();
+  }
+
+  function setStickerMarks(markId) {
+    if (!getStickerMark(markId) || markId === stickerMarkId) {
+      return;
+    }
+
+    stickerMarkId = markId;
+    disposeStickerMarkMaterials();
+    for (const sticker of puzzle.stickers) {
+      applyStickerMark(sticker);
+    }
+    stickerMarksSelect.value = stickerMarkId;
+    saveDisplayPreferences();
+  }
+
+  function saveDisplayPreferences() {
+    displayPreferences.save({ palette: palette.id, marks: stickerMarkId });
+  }
+
+  function setColorScheme(schemeId) {
+    const scheme = getColorScheme(schemeId);
+    if (!scheme || scheme === colorScheme) {
+      return;
+    }
+
+    endChallenge();
+    colorScheme = scheme;
+    puzzle.setColorIndexForCell(scheme.colorIndexForCell);
+    setUrlParam("scheme", scheme.id === DEFAULT_COLOR_SCHEME_ID ? null : scheme.id);
+    colorSchemeSelect.value = scheme.id;
+    refreshSolvedState(false);
+  }
+
+  function populatePictureSelect() {
+    const options = [{ value: "", label: "Off (colors)" }]
+      .concat(PICTURE_PRESETS.map((preset) => ({ value: preset.id, label: preset.label })))
+      .concat([{ value: "file", label: "Load image…" }]);
+    pictureSelect.replaceChildren(
+      ...options.map(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        return option;
+      })
+    );
+    pictureSelect.value = pictureSource || "";
+  }
+
+  function setPicture(source, texture) {
+    if (pictureTexture && pictureTexture !== texture) {
+      pictureTexture.dispose();
+    }
+
+    pictureTexture = texture;
+    pictureSource = texture ? source : null;
+    if (pictureTexture) {
+      pictureTexture.colorSpace = THREE.SRGBColorSpace;
+      pictureTexture.anisotropy = Math.min(8, renderer.capabilities.getMaxAnisotropy());
+    }
+
+    for (const sticker of puzzle.stickers) {
+      applyStickerMaterial(sticker);
+    }
+    puzzle.solveRule = pictureTexture ? "exact" : "colors";
+    puzzleRevision += 1;
+    pictureSelect.value = pictureSource || "";
+    refreshSolvedState(false);
+  }
+
+  function selectPicturePreset(presetId) {
+    const preset = getPicturePreset(presetId);
+    if (!preset) {
+      setPicture(null, null);
+      return;
+    }
+    setPicture(preset.id, new THREE.CanvasTexture(renderPicturePreset(preset)));
+  }
+
+  function loadPictureFile(file) {
+    if (!file || !file.type.startsWith("image/")) {
+      showStatusMessage("Please choose an image file.");
+      return;
+    }
+
+    const objectUrl = URL.createObjectURL(file);
+    new THREE.TextureLoader().load(
+      objectUrl,
+      (texture) => {
+        URL.revokeObjectURL(objectUrl);
+        setPicture("file", texture);
+        showStatusMessage(`Picture loaded: ${file.name}`);
+      },
+      undefined,
+      () => {
+        URL.revokeObjectURL(objectUrl);
+        showStatusMessage("That image could not be loaded.");
+      }
+    );
+  }
+
+  function togglePanel(panel, button, open = panel.hidden) {
+    for (const [otherPanel, otherButton] of [
+      [settingsPanel, settingsBtn],
+      [challengePanel, challengeBtn],
+      [racePanel, raceBtn],
+      [analysisPanel, analysisBtn],
+      [statsPanel, statsBtn],
+    ]) {
+      const isTarget = otherPanel === panel;
+      otherPanel.hidden = isTarget ? !open : true;
+      otherButton.setAttribute("aria-expanded", String(isTarget && open));
+    }
+    refreshStatsPanel();
+    refreshAnalysisPanel();
+  }
+
+  function copyScrambleLink() {
+    if (!scrambleSeed) {
+      return;
+    }
+
+    // Without URL sync the page link does not carry the seed, so share the seed itself.
+    const link = syncUrl ? window.location.href : scrambleSeed;
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      showStatusMessage(`Share this scramble: ${link}`);
+      return;
+    }
+
+    navigator.clipboard.writeText(link).then(
+      () => showStatusMessage(syncUrl ? "Scramble link copied to clipboard." : "Scramble seed copied to clipboard."),
+      () => showStatusMessage(`Share this scramble: ${link}`)
+    );
+  }
+
+  function resizeRenderer() {
+    const width = stageWrap.clientWidth;
+    const height = stageWrap.clientHeight;
+    renderer.setSize(width, height, false);
+    camera.fov = BASE_FOV;
+    camera.aspect = width / Math.max(1, height);
+    applyResponsiveCameraDistance(width, height);
+    const maxDim = Math.max(width, height);
+    const viewOffsetY = maxDim <= MOBILE_MAX_DIM_PX ? MOBILE_VIEW_OFFSET_Y_PX : VIEW_OFFSET_Y_PX;
+    camera.setViewOffset(width, height, 0, viewOffsetY, width, height);
+    camera.updateProjectionMatrix();
+    controls.update();
+  }
+
+  function applyResponsiveCameraDistance(width, height) {
+    const viewDirection = new THREE.Vector3().subVectors(camera.position, controls.target);
+    if (viewDirection.lengthSq() < 1e-8) {
+      viewDirection.set(1, 0, 0);
+    }
+    viewDirection.normalize();
+
+    let distance = BASE_CAMERA_DISTANCE;
+    const maxDim = Math.max(width, height);
+    if (maxDim <= MOBILE_MAX_DIM_PX) {
+      const aspect = width / Math.max(1, height);
+      if (aspect <= 1) {
+        const t = THREE.MathUtils.clamp((1 - aspect) / MOBILE_PORTRAIT_ASPECT_RANGE, 0, 1);
+        distance = THREE.MathUtils.lerp(MOBILE_PORTRAIT_DISTANCE_NEAR, MOBILE_PORTRAIT_DISTANCE_FAR, t);
+      } else {
+        const t = THREE.MathUtils.clamp((aspect - 1) / MOBILE_LANDSCAPE_ASPECT_RANGE, 0, 1);
+        distance = THREE.MathUtils.lerp(MOBILE_LANDSCAPE_DISTANCE_NEAR, MOBILE_LANDSCAPE_DISTANCE_FAR, t);
+      }
+      distance = THREE.MathUtils.clamp(distance, MOBILE_MIN_DISTANCE, MOBILE_MAX_DISTANCE);
+    }
+
+    camera.position.copy(controls.target).addScaledVector(viewDirection, distance);
+  }
+
+  function showStatusMessage(message) {
+    if (animationFrameId === null) {
+      // Disposed; solver requests that dispose() rejected still report here.
+      return;
+    }
+    statusMessage = message;
+    clearTimeout(statusMessageTimer);
+    statusMessageTimer = setTimeout(() => {
+      statusMessage = null;
+      refreshStatusText();
+    }, STATUS_MESSAGE_MS);
+    refreshStatusText();
+  }
+
+  function refreshStatusText() {
+    if (statusMessage) {
+      statusText.textContent = statusMessage;
+      return;
+    }
+
+    const isCoarseTouch = window.matchMedia("(hover: none) and (pointer: coarse)").matches;
+    const isLandscape = window.matchMedia("(orientation: landscape)").matches;
+    if (isCoarseTouch && isLandscape) {
+      statusText.textContent = "";
+      return;
+    }
+
+    const idleInstructions = isCoarseTouch
+      ? "Use one finger to select a region and rotate ring, two fingers to rotate torus."
+      : "Use one finger/left-click drag to select a region and rotate ring, " +
+        "two fingers/right-click drag to rotate torus.";
+
+    if (!selectedStickerId) {
+      statusText.textContent = idleInstructions;
+      return;
+    }
+
+    const selected = puzzle.stickerById.get(selectedStickerId);
+    if (!selected) {
+      statusText.textContent = idleInstructions;
+      return;
+    }
+
+    statusText.textContent = isCoarseTouch
+      ? idleInstructions
+      : "Arrow keys turn the selected region's rings, W/A/S/D move the selection, " +
+        "Q/E/R/F orbit the torus, Esc deselects.";
+  }
+
+  function frame(nowMs) {
+    const dtMs = lastFrameMs === null ? 0 : Math.min(nowMs - lastFrameMs, MAX_FRAME_STEP_MS);
+    lastFrameMs = nowMs;
+    advanceReplay(dtMs);
+    moveQueue.step(dtMs);
+    updateSolvedSpin(nowMs);
+    updateHintPulse(nowMs);
+    refreshHud(nowMs);
+    updateInteractionMode();
+    updateSelectedOutline();
+    renderNetView();
+    renderGoalView();
+    controls.update();
+    renderer.render(scene, camera);
+
+    animationFrameId = requestAnimationFrame(frame);
+  }
+
+  function renderGameToText() {
+    const selected = selectedStickerId ? puzzle.stickerById.get(selectedStickerId) : null;
+    const boardDump = [];
+
+    for (let iu = 0; iu < puzzle.uCells; iu += 1) {
+      for (let iv = 0; iv < puzzle.vCells; iv += 1) {
+        const sticker = puzzle.board[iu][iv];
+        boardDump.push({
+          iu,
+          iv,
+          stickerId: sticker ? sticker.id : null,
+          colorIndex: sticker ? sticker.colorIndex : null,
+        });
+      }
+    }
+
+    const pointerCount = Math.max(
+      interactionState.activePointers.size,
+      interactionState.ringDrag && interactionState.ringDrag.pointerType === "mouse" ? 1 : 0,
+      interactionState.mouseOrbitActive ? 1 : 0
+    );
+
+    const ringDrag = interactionState.ringDrag
+      ? {
+          anchorStickerId: interactionState.ringDrag.anchorStickerId,
+          axis: interactionState.ringDrag.axis,
+          width: interactionState.ringDrag.width,
+          offsetCells: Number(interactionState.ringDrag.offsetCells.toFixed(4)),
+        }
+      : null;
+
+    return JSON.stringify({
+      mode: interactionState.mode,
+      geometry: {
+        topology: puzzle.topology.id,
+        diagonals: puzzle.diagonals,
+        majorRadius: MAJOR_RADIUS,
+        minorRadius: MINOR_RADIUS,
+        uCells: puzzle.uCells,
+        vCells: puzzle.vCells,
+        du: grid.du,
+        dv: grid.dv,
+      },
+      coordinateSystem:
+        "Origin at torus center; +x and +y define the major circle plane; +z is perpendicular to that plane.",
+      selected: selected
+        ? {
+            id: selected.id,
+            iu: selected.iu,
+            iv: selected.iv,
+          }
+        : null,
+      input: {
+        mode: interactionState.mode,
+        pointerCount,
+        ringDrag,
+        turnWidth,
+      },
+      announcement: liveRegion ? liveRegion.textContent : "",
+      colorScheme: colorScheme.id,
+      palette: palette.id,
+      stickerMarks: stickerMarkId,
+      picture: pictureSource,
+      net: { visible: netVisible },
+      solved: puzzleSolved,
+      session: {
+        scrambled: solveSession.scrambled,
+        moves: solveSession.moveCount,
+        elapsedMs: Math.round(sessionElapsedMs()),
+        running: solveSession.startMs !== null && solveSession.endMs === null,
+        assisted: solveSession.assisted,
+        hintsUsed: solveSession.hintsUsed,
+      },
+      animation: {
+        speed: animationSpeed,
+        animateScramble,
+        queued: moveQueue.items.length,
+        active: moveQueue.active
+          ? {
+              ...moveQueue.active.move,
+              offsetCells: Number(moveQueue.active.offsetCells.toFixed(4)),
+            }
+          : null,
+      },
+      replay: replayState
+        ? {
+            playing: replayState.playing,
+            speed: replayState.speed,
+            moveCount: replayState.moveCount,
+            totalMoves: replayState.replay.moves.length,
+            clockMs: Math.round(replayState.clockMs),
+          }
+        : null,
+      lastReplay: lastReplay ? { moves: lastReplay.moves.length, durationMs: lastReplay.durationMs } : null,
+      solver: {
+        playing: Boolean(solutionPlayback),
+        hint: cachedSolution && cachedSolution.revision === puzzleRevision && hintGroup.children.length > 0
+          ? cachedSolution.moves[0]
+          : null,
+      },
+      scrambleSeed,
+      daily: {
+        today: dailyDateKey(),
+        playing: solveSession.daily,
+        solvedToday: Boolean(dailyRecords.resultFor(dailyDateKey())),
+        streak: dailyRecords.streak(dailyDateKey()),
+      },
+      challenge: challenge ? captureChallenge() : null,
+      race: race ? captureRace() : null,
+      permutation: capturePermutation(),
+      history: {
+        ...moveHistory.toJSON(),
+        notation: formatMoves(moveHistory.undoStack),
+      },
+      board: boardDump,
+    });
+  }
+
+  function advanceTime(ms) {
+    const stepCount = Math.max(1, Math.round(ms / ADVANCE_TIME_STEP_MS));
+    for (let step = 0; step < stepCount; step += 1) {
+      advanceReplay(ms / stepCount);
+      moveQueue.step(ms / stepCount);
+    }
+    updateInteractionMode();
+    updateSelectedOutline();
+    renderNetView();
+    renderGoalView();
+    controls.update();
+    renderer.render(scene, camera);
+    return renderGameToText();
+  }
+
+  // Stops the frame loop and listeners and frees the renderer, worker and GPU resources.
+  function dispose() {
+    if (animationFrameId === null) {
+      return;
+    }
+
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+    saveGame();
+    globalListeners.abort();
+    leaveRace();
+    if (stageResizeObserver) {
+      stageResizeObserver.disconnect();
+    }
+    stopSolutionPlayback();
+    cancelQueuedMoves();
+    clearTimeout(statusMessageTimer);
+    clearTimeout(solvedOverlayTimer);
+    if (solverWorker) {
+      solverWorker.terminate();
+      solverWorker = null;
+    }
+    for (const pending of pendingSolverRequests.values()) {
+      pending.reject(new Error("The game was disposed."));
+    }
+    pendingSolverRequests.clear();
+
+    clearHint();
+    disposeBoard();
+    disposeStickerMarkMaterials();
+    if (pictureTexture) {
+      pictureTexture.dispose();
+    }
+    if (filePictureBeforeReplay) {
+      filePictureBeforeReplay.dispose();
+    }
+    scene.traverse((object) => {
+      if (object.geometry) {
+        object.geometry.dispose();
+      }
+      if (object.material) {
+        object.material.dispose();
+      }
+    });
+    controls.dispose();
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+
+  return { api, renderGameToText, advanceTime, setGridSize, setPalette, dispose };
+}
@@ -0,0 +1,56 @@
+import { copyMove, invertMove } from "./puzzle.js";
+
+export class MoveHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  record(move) {
+    this.undoStack.push(copyMove(move));
+    this.redoStack.length = 0;
+  }
+
+  undo() {
+    const move = this.undoStack.pop();
+    if (!move) {
+      return null;
+    }
+    this.redoStack.push(move);
+    return invertMove(move);
+  }
+
+  redo() {
+    const move = this.redoStack.pop();
+    if (!move) {
+      return null;
+    }
+    this.undoStack.push(move);
+    return move;
+  }
+
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+  }
+
+  restore({ undo = [], redo = [] }) {
+    this.undoStack = undo.map(copyMove);
+    this.redoStack = redo.map(copyMove);
+  }
+
+  toJSON() {
+    return {
+      undo: this.undoStack.map((move) => ({ ...move })),
+      redo: this.redoStack.map((move) => ({ ...move })),
+    };
+  }
+}
@@ -0,0 +1,4 @@
+// Remainder that stays in [0, modulus) for negative values too, for wrapping cell indices.
+export function modulo(value, modulus) {
+  return ((value % modulus) + modulus) % modulus;
+}
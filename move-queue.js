@@ -0,0 +1,109 @@
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Plays ring turns one after another over time. Each queued item either carries a
+// `move` or a `resolve()` that picks the move when the item starts, so moves that
+// depend on the board (e.g. "turn the selected sticker's ring") see the position left
+// by the moves before them; `onStart` may then set the item's `durationMs`. Time only
+// advances through `step(dtMs)`.
+export class MoveQueue {
+  constructor({ onStart = null, onProgress = null, onComplete = null, onIdle = null } = {}) {
+    this.onStart = onStart;
+    this.onProgress = onProgress;
+    this.onComplete = onComplete;
+    this.onIdle = onIdle;
+    this.items = [];
+    this.active = null;
+  }
+
+  get busy() {
+    return this.active !== null || this.items.length > 0;
+  }
+
+  get length() {
+    return this.items.length + (this.active ? 1 : 0);
+  }
+
+  enqueue(item) {
+    this.items.push({
+      fromOffset: 0,
+      durationMs: 0,
+      ...item,
+      elapsedMs: 0,
+      offsetCells: item.fromOffset || 0,
+    });
+    this.step(0);
+  }
+
+  step(dtMs) {
+    let remainingMs = Math.max(0, dtMs);
+    let lastCompleted = null;
+    while (this.active || this.startNext()) {
+      const active = this.active;
+      const neededMs = active.durationMs - active.elapsedMs;
+      if (remainingMs < neededMs) {
+        active.elapsedMs += remainingMs;
+        this.updateOffset(active);
+        return;
+      }
+
+      remainingMs -= Math.max(0, neededMs);
+      active.elapsedMs = active.durationMs;
+      active.offsetCells = active.move.steps;
+      this.active = null;
+      lastCompleted = active;
+      if (this.onComplete) {
+        this.onComplete(active);
+      }
+    }
+
+    if (lastCompleted && this.onIdle) {
+      this.onIdle(lastCompleted);
+    }
+  }
+
+  // Finishes the active move and everything queued behind it immediately.
+  flush() {
+    this.step(Infinity);
+  }
+
+  // Drops queued moves but lets the active one finish.
+  clear() {
+    this.items.length = 0;
+  }
+
+  // Drops everything without applying it; returns the abandoned active item.
+  cancel() {
+    const active = this.active;
+    this.items.length = 0;
+    this.active = null;
+    return active;
+  }
+
+  startNext() {
+    while (this.items.length > 0) {
+      const item = this.items.shift();
+      const move = item.move || (item.resolve ? item.resolve() : null);
+      if (!move) {
+        continue;
+      }
+      item.move = move;
+      this.active = item;
+      if (this.onStart) {
+        this.onStart(item);
+      }
+      this.updateOffset(item);
+      return true;
+    }
+    return false;
+  }
+
+  updateOffset(item) {
+    const t = item.durationMs > 0 ? Math.min(1, item.elapsedMs / item.durationMs) : 1;
+    item.offsetCells = item.fromOffset + (item.move.steps - item.fromOffset) * easeInOutCubic(t);
+    if (this.onProgress) {
+      this.onProgress(item);
+    }
+  }
+}
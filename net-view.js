@@ -0,0 +1,294 @@
+import { modulo } from "./math.js";
+import { AXES, axisStep } from "./puzzle.js";
+import { TOPOLOGIES, seamRow } from "./topology.js";
+import { drawStickerMark } from "./sticker-marks.js";
+
+const DRAG_DEADZONE_PX = 6;
+const GRID_LINE_COLOR = "rgba(0, 0, 0, 0.55)";
+const SELECT_OUTLINE_COLOR = "#ffffff";
+const SELECT_SHADOW_COLOR = "rgba(0, 0, 0, 0.6)";
+const SEAM_STRIP_PX = 4;
+
+// Flat u x v net of the torus drawn on a 2D canvas: column iu, row iv (iv = 0 at the
+// top, matching picture mode). Dragging a row or column reports ring offsets in cells
+// through the callbacks; the caller owns the puzzle and decides what to do with them.
+// When the left and right edges are not glued straight across, matching colour strips
+// on both edges show which row continues where.
+export class NetView {
+  constructor(
+    canvas,
+    { onSelect = null, onDragStart = null, onDragMove = null, onDragEnd = null, onDragCancel = null } = {}
+  ) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.onSelect = onSelect;
+    this.onDragStart = onDragStart;
+    this.onDragMove = onDragMove;
+    this.onDragEnd = onDragEnd;
+    this.onDragCancel = onDragCancel;
+    this.uCells = 1;
+    this.vCells = 1;
+    this.board = null;
+    this.axes = AXES;
+    this.ringIndexForSticker = defaultRingIndexForSticker;
+    this.drag = null;
+
+    canvas.addEventListener("pointerdown", (event) => this.handlePointerDown(event));
+    canvas.addEventListener("pointermove", (event) => this.handlePointerMove(event));
+    canvas.addEventListener("pointerup", (event) => this.handlePointerUp(event));
+    canvas.addEventListener("pointercancel", (event) => this.handlePointerCancel(event));
+  }
+
+  cellAtClient(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) {
+      return null;
+    }
+
+    const iu = Math.floor(((clientX - rect.left) / rect.width) * this.uCells);
+    const iv = Math.floor(((clientY - rect.top) / rect.height) * this.vCells);
+    if (iu < 0 || iu >= this.uCells || iv < 0 || iv >= this.vCells) {
+      return null;
+    }
+    return { iu, iv };
+  }
+
+  handlePointerDown(event) {
+    if (event.pointerType === "mouse" && event.button !== 0) {
+      return;
+    }
+
+    const cell = this.cellAtClient(event.clientX, event.clientY);
+    if (!cell) {
+      return;
+    }
+
+    event.preventDefault();
+    if (this.canvas.setPointerCapture) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
+    this.drag = { pointerId: event.pointerId, startX: event.clientX, startY: event.clientY, cell, axis: null };
+  }
+
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+    if (!drag.axis) {
+      if (Math.hypot(dx, dy) < DRAG_DEADZONE_PX) {
+        return;
+      }
+      drag.axis = this.axisForDrag(dx, dy);
+      drag.ringIndex = this.ringIndexForSticker(drag.axis, this.board[drag.cell.iu][drag.cell.iv]);
+      const start = { ...drag.cell, axis: drag.axis, ringIndex: drag.ringIndex, shiftKey: event.shiftKey };
+      if (this.onDragStart && this.onDragStart(start) === false) {
+        this.drag = null;
+        return;
+      }
+    }
+
+    const step = this.stepVector(drag.axis);
+    drag.offsetCells = (dx * step.x + dy * step.y) / (step.x * step.x + step.y * step.y);
+    if (this.onDragMove) {
+      this.onDragMove({ axis: drag.axis, ringIndex: drag.ringIndex, offsetCells: drag.offsetCells });
+    }
+  }
+
+  // On-screen size of one cell step along `axis`, in client pixels.
+  stepVector(axis) {
+    const rect = this.canvas.getBoundingClientRect();
+    const { du, dv } = axisStep(axis);
+    return { x: (du * rect.width) / this.uCells, y: (dv * rect.height) / this.vCells };
+  }
+
+  // The allowed axis whose step points most nearly along the drag.
+  axisForDrag(dx, dy) {
+    let bestAxis = this.axes[0];
+    let bestScore = -1;
+    for (const axis of this.axes) {
+      const step = this.stepVector(axis);
+      const score = Math.abs(dx * step.x + dy * step.y) / Math.hypot(step.x, step.y);
+      if (score > bestScore) {
+        bestAxis = axis;
+        bestScore = score;
+      }
+    }
+    return bestAxis;
+  }
+
+  handlePointerUp(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+
+    this.drag = null;
+    if (!drag.axis) {
+      if (this.onSelect) {
+        this.onSelect(drag.cell);
+      }
+      return;
+    }
+    if (this.onDragEnd) {
+      this.onDragEnd({ axis: drag.axis, ringIndex: drag.ringIndex, offsetCells: drag.offsetCells || 0 });
+    }
+  }
+
+  handlePointerCancel(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+
+    this.drag = null;
+    if (drag.axis && this.onDragCancel) {
+      this.onDragCancel();
+    }
+  }
+
+  // Forgets the current drag without reporting it (the caller already reverted it).
+  cancelDrag() {
+    this.drag = null;
+  }
+
+  // `motion` is the rings currently moving ({ axis, rings, offsetCells }) or null;
+  // `image` is the picture to cut stickers from, or null to fill with `colorForSticker`
+  // and draw the `stickerMark` style (see sticker-marks.js) on top.
+  render({
+    board,
+    uCells,
+    vCells,
+    colorForSticker,
+    image = null,
+    selectedStickerId = null,
+    motion = null,
+    topology = TOPOLOGIES[0],
+    axes = AXES,
+    stickerMark = "none",
+    ringIndexForSticker = defaultRingIndexForSticker,
+  }) {
+    this.uCells = uCells;
+    this.vCells = vCells;
+    this.board = board;
+    this.axes = axes;
+    this.ringIndexForSticker = ringIndexForSticker;
+
+    const pixelRatio = Math.min(globalThis.devicePixelRatio || 1, 2);
+    const width = Math.round(this.canvas.clientWidth * pixelRatio);
+    const height = Math.round(this.canvas.clientHeight * pixelRatio);
+    if (width <= 0 || height <= 0) {
+      return;
+    }
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    const context = this.context;
+    const cellWidth = width / uCells;
+    const cellHeight = height / vCells;
+    context.clearRect(0, 0, width, height);
+
+    let selectedRect = null;
+    for (let iu = 0; iu < uCells; iu += 1) {
+      for (let iv = 0; iv < vCells; iv += 1) {
+        const sticker = board[iu][iv];
+        const moving = motion && motion.rings.includes(ringIndexForSticker(motion.axis, sticker));
+        let x = iu;
+        let y = iv;
+        if (moving) {
+          const { du, dv } = axisStep(motion.axis);
+          x = iu + motion.offsetCells * du;
+          y = modulo(iv + motion.offsetCells * dv, vCells);
+          while (x >= uCells) {
+            x -= uCells;
+            y = seamRow(topology, y, vCells, 1);
+          }
+          while (x < 0) {
+            x += uCells;
+            y = seamRow(topology, y, vCells, -1);
+          }
+        }
+
+        // A sticker pushed past the edge shows up again on the opposite side (in the
+        // glued row when it crosses the left/right seam), or in the opposite corner when
+        // a diagonal move pushes it past both.
+        for (const [drawX, drawY] of [
+          [x, y],
+          [x - uCells, seamRow(topology, y, vCells, 1)],
+          [x, y - vCells],
+          [x - uCells, seamRow(topology, y, vCells, 1) - vCells],
+        ]) {
+          if (drawX <= -1 || drawY <= -1) {
+            continue;
+          }
+          const rect = [drawX * cellWidth, drawY * cellHeight, cellWidth, cellHeight];
+          if (image) {
+            const sourceWidth = (image.naturalWidth || image.width) / uCells;
+            const sourceHeight = (image.naturalHeight || image.height) / vCells;
+            context.drawImage(
+              image,
+              sticker.initialIu * sourceWidth,
+              sticker.initialIv * sourceHeight,
+              sourceWidth,
+              sourceHeight,
+              ...rect
+            );
+          } else {
+            context.fillStyle = cssColor(colorForSticker(sticker));
+            context.fillRect(...rect);
+            drawStickerMark(context, stickerMark, sticker.colorIndex, ...rect);
+          }
+          if (sticker.id === selectedStickerId && drawX === x && drawY === y) {
+            selectedRect = rect;
+          }
+        }
+      }
+    }
+
+    context.strokeStyle = GRID_LINE_COLOR;
+    context.lineWidth = Math.max(1, pixelRatio);
+    context.beginPath();
+    for (let iu = 1; iu < uCells; iu += 1) {
+      context.moveTo(iu * cellWidth, 0);
+      context.lineTo(iu * cellWidth, height);
+    }
+    for (let iv = 1; iv < vCells; iv += 1) {
+      context.moveTo(0, iv * cellHeight);
+      context.lineTo(width, iv * cellHeight);
+    }
+    context.stroke();
+
+    if (topology.flip || topology.twist) {
+      const strip = SEAM_STRIP_PX * pixelRatio;
+      for (let iv = 0; iv < vCells; iv += 1) {
+        context.fillStyle = `hsl(${Math.round((iv / vCells) * 360)}, 75%, 50%)`;
+        context.fillRect(width - strip, iv * cellHeight, strip, cellHeight);
+        context.fillRect(0, seamRow(topology, iv, vCells, 1) * cellHeight, strip, cellHeight);
+      }
+    }
+
+    if (selectedRect) {
+      const inset = 2 * pixelRatio;
+      const [left, top, w, h] = selectedRect;
+      context.lineWidth = 3 * pixelRatio;
+      context.strokeStyle = SELECT_SHADOW_COLOR;
+      context.strokeRect(left + inset, top + inset, w - inset * 2, h - inset * 2);
+      context.lineWidth = 1.5 * pixelRatio;
+      context.strokeStyle = SELECT_OUTLINE_COLOR;
+      context.strokeRect(left + inset, top + inset, w - inset * 2, h - inset * 2);
+    }
+  }
+}
+
+function defaultRingIndexForSticker(axis, sticker) {
+  return axis === "meridional" ? sticker.iu : sticker.iv;
+}
+
+function cssColor(hex) {
+  return `#${hex.toString(16).padStart(6, "0")}`;
+}
@@ -0,0 +1,104 @@
+// Move notation
+//
+//   M<i>    turn meridional ring i (the column of regions with iu = i) one cell toward +v
+//   L<j>    turn longitudinal ring j (the row of regions with iv = j) one cell toward +u
+//   D<r>    turn diagonal ring r (cells with iv - iu = r mod gcd(u, v)) one cell toward +u+v
+//   A<r>    turn anti-diagonal ring r (cells with iv + iu = r mod gcd(u, v)) one cell toward +u-v
+//   '       prime suffix reverses the direction:       M3'  = M3-1
+//   +n/-n   explicit signed step count:                M3+2, L5-3
+//   w<k>    wide move, rings i..i+k-1 turn together:   M3w2, L5w3'
+//
+// Moves are separated by whitespace and/or commas, e.g. "M3 L5' M0+2, L7-3".
+// Letters are case-insensitive; ring indices are zero-based.
+
+const AXIS_BY_LETTER = {
+  M: "meridional",
+  L: "longitudinal",
+  D: "diagonal",
+  A: "antidiagonal",
+};
+
+const LETTER_BY_AXIS = {
+  meridional: "M",
+  longitudinal: "L",
+  diagonal: "D",
+  antidiagonal: "A",
+};
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+const MOVE_TOKEN_PATTERN = /^([A-Za-z])(\d+)(?:[wW](\d+))?(?:(')|([+-])(\d+))?$/;
+
+export function parseMove(token, grid = null) {
+  const match = MOVE_TOKEN_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`Invalid move "${token}"`);
+  }
+
+  const axis = AXIS_BY_LETTER[match[1].toUpperCase()];
+  if (!axis) {
+    throw new Error(`Unknown ring letter in "${token}" (use M, L, D or A)`);
+  }
+
+  const ringIndex = Number(match[2]);
+  const width = match[3] === undefined ? 1 : Number(match[3]);
+  if (width < 1) {
+    throw new Error(`Move "${token}" has zero width`);
+  }
+  if (grid) {
+    if (grid.axes && !grid.axes.includes(axis)) {
+      throw new Error(`Move "${token}" needs diagonal moves, which are off`);
+    }
+    let ringCount = axis === "meridional" ? grid.uCells : grid.vCells;
+    if (axis === "diagonal" || axis === "antidiagonal") {
+      ringCount = greatestCommonDivisor(grid.uCells, grid.vCells);
+    }
+    // A TorusPuzzle knows its own ring count (longitudinal rings can span several rows).
+    if (typeof grid.ringCount === "function") {
+      ringCount = grid.ringCount(axis);
+    }
+    if (ringIndex >= ringCount) {
+      throw new Error(`Ring index out of range in "${token}" (0-${ringCount - 1})`);
+    }
+    if (width > ringCount) {
+      throw new Error(`Move "${token}" is wider than the ${ringCount} rings of its axis`);
+    }
+  }
+
+  let steps = 1;
+  if (match[4]) {
+    steps = -1;
+  } else if (match[5]) {
+    steps = Number(match[6]) * (match[5] === "-" ? -1 : 1);
+  }
+
+  if (steps === 0) {
+    throw new Error(`Move "${token}" has zero steps`);
+  }
+
+  return width > 1 ? { axis, ringIndex, steps, width } : { axis, ringIndex, steps };
+}
+
+export function parseMoves(text, grid = null) {
+  return String(text)
+    .split(/[\s,]+/)
+    .filter((token) => token.length > 0)
+    .map((token) => parseMove(token, grid));
+}
+
+export function formatMove(move) {
+  const ring = `${LETTER_BY_AXIS[move.axis]}${move.ringIndex}${move.width > 1 ? `w${move.width}` : ""}`;
+  if (move.steps === 1) {
+    return ring;
+  }
+  if (move.steps === -1) {
+    return `${ring}'`;
+  }
+  return `${ring}${move.steps > 0 ? "+" : "-"}${Math.abs(move.steps)}`;
+}
+
+export function formatMoves(moves) {
+  return moves.map(formatMove).join(" ");
+}
@@ -0,0 +1,186 @@
+import { TorusPuzzle, parseGridSize } from "./puzzle.js";
+import { parseMoves } from "./notation.js";
+import { DEFAULT_COLOR_SCHEME_ID, getColorScheme } from "./color-schemes.js";
+import { DEFAULT_TOPOLOGY_ID, getTopology } from "./topology.js";
+
+// Pattern challenges: reach a goal coloring instead of the solved board. A pattern is
+// plain JSON-friendly data:
+// - `id`, `name`, `description`
+// - `grid` ("8x4"), and optionally `topology` ("torus"), `diagonals` (false) and
+//   `scheme` (color scheme id, "octant")
+// - `start`: moves applied to the solved board to get the starting board (default: solved)
+// - `target`: the goal, as moves applied to the solved board, or as rows of color
+//   indices (one base-36 digit per cell, top row iv = 0 first)
+// - `par`: the move count to aim for
+// Only colors are compared, so any board showing the goal colors counts.
+export const PATTERNS = [
+  {
+    id: "checkerboard",
+    name: "Checkerboard",
+    description: "Turn the two stripes into a checkerboard.",
+    grid: "8x2",
+    scheme: "horizontal-stripes",
+    target: "M1 M3 M5 M7",
+    par: 4,
+  },
+  {
+    id: "shift-checkerboard",
+    name: "Shift the checkerboard",
+    description: "Swap every square of the checkerboard with its neighbor.",
+    grid: "8x2",
+    scheme: "horizontal-stripes",
+    start: "M1 M3 M5 M7",
+    target: "M0 M2 M4 M6",
+    par: 2,
+  },
+  {
+    id: "diagonal-stripes",
+    name: "Diagonal stripes",
+    description: "Tilt the four stripes into diagonals.",
+    grid: "4x4",
+    scheme: "horizontal-stripes",
+    target: ["0321", "1032", "2103", "3210"],
+    par: 3,
+  },
+  {
+    id: "turn-octants",
+    name: "Turn the octants",
+    description: "Move every octant color one quarter of the way around the torus.",
+    grid: "8x4",
+    target: "L0+2 L1+2 L2+2 L3+2",
+    par: 4,
+  },
+  {
+    id: "swap-halves",
+    name: "Swap the halves",
+    description: "Swap the colors of the top and bottom halves of the torus.",
+    grid: "8x4",
+    target: "M0+2 M1+2 M2+2 M3+2 M4+2 M5+2 M6+2 M7+2",
+    par: 8,
+  },
+  {
+    id: "swap-octants",
+    name: "Swap two octants",
+    description: "Swap two neighboring octants on the top of the torus and leave the other six in place.",
+    grid: "8x4",
+    target: ["33771155", "33771155", "66220044", "66220044"],
+    par: 10,
+  },
+];
+
+export function getPattern(id) {
+  return PATTERNS.find((pattern) => pattern.id === id) || null;
+}
+
+// Checks a pattern and works out what a game needs to play it: the board settings, the
+// moves from solved to the start and `target[iu][iv]`, the color index the goal wants in
+// each cell. Throws on anything that cannot be played.
+export function preparePattern(pattern) {
+  if (!pattern || typeof pattern !== "object") {
+    throw new Error("A pattern must be an object.");
+  }
+  if (typeof pattern.id !== "string" || !pattern.id) {
+    throw new Error("A pattern needs an id.");
+  }
+  const name = typeof pattern.name === "string" && pattern.name ? pattern.name : pattern.id;
+
+  const grid = parseGridSize(pattern.grid || "");
+  if (!grid) {
+    throw new Error(`Invalid grid size "${pattern.grid}" in pattern "${pattern.id}".`);
+  }
+  const topology = pattern.topology === undefined ? DEFAULT_TOPOLOGY_ID : pattern.topology;
+  if (!getTopology(topology)) {
+    throw new Error(`Unknown topology "${topology}" in pattern "${pattern.id}".`);
+  }
+  const scheme = getColorScheme(pattern.scheme === undefined ? DEFAULT_COLOR_SCHEME_ID : pattern.scheme);
+  if (!scheme) {
+    throw new Error(`Unknown color scheme "${pattern.scheme}" in pattern "${pattern.id}".`);
+  }
+  if (!Number.isInteger(pattern.par) || pattern.par < 1) {
+    throw new Error(`Pattern "${pattern.id}" needs a par of at least 1 move.`);
+  }
+
+  // The puzzle constructor rejects diagonal moves on other topologies.
+  const diagonals = pattern.diagonals === true;
+  const puzzle = new TorusPuzzle({ ...grid, topology, diagonals, colorIndexForCell: scheme.colorIndexForCell });
+  const startMoves = parseMoves(pattern.start || "", puzzle);
+  const target = Array.isArray(pattern.target)
+    ? parseTargetRows(pattern.target, puzzle)
+    : targetFromMoves(parseMoves(String(pattern.target || ""), puzzle), puzzle);
+  if (!sameColorCounts(target, puzzle.initialColorByCell)) {
+    throw new Error(`The goal of pattern "${pattern.id}" does not use the board's colors.`);
+  }
+
+  puzzle.applyMoves(startMoves);
+  if (patternMatches(puzzle, target)) {
+    throw new Error(`Pattern "${pattern.id}" already starts at its goal.`);
+  }
+
+  return {
+    id: pattern.id,
+    name,
+    description: typeof pattern.description === "string" ? pattern.description : "",
+    ...grid,
+    topology,
+    diagonals,
+    scheme: scheme.id,
+    par: pattern.par,
+    startMoves,
+    target,
+  };
+}
+
+export function patternMatches(puzzle, target) {
+  for (let iu = 0; iu < puzzle.uCells; iu += 1) {
+    for (let iv = 0; iv < puzzle.vCells; iv += 1) {
+      if (puzzle.board[iu][iv].colorIndex !== target[iu][iv]) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function targetFromMoves(moves, puzzle) {
+  puzzle.applyMoves(moves);
+  const target = puzzle.board.map((column) => column.map((sticker) => sticker.colorIndex));
+  puzzle.reset();
+  return target;
+}
+
+function parseTargetRows(rows, puzzle) {
+  if (rows.length !== puzzle.vCells) {
+    throw new Error(`The goal needs ${puzzle.vCells} rows, not ${rows.length}.`);
+  }
+
+  const target = Array.from({ length: puzzle.uCells }, () => []);
+  rows.forEach((row, iv) => {
+    const text = String(row);
+    if (text.length !== puzzle.uCells) {
+      throw new Error(`Goal row ${iv} needs ${puzzle.uCells} cells, not ${text.length}.`);
+    }
+    for (let iu = 0; iu < puzzle.uCells; iu += 1) {
+      const colorIndex = parseInt(text[iu], 36);
+      if (Number.isNaN(colorIndex)) {
+        throw new Error(`Goal row ${iv} has an invalid color "${text[iu]}".`);
+      }
+      target[iu][iv] = colorIndex;
+    }
+  });
+  return target;
+}
+
+function sameColorCounts(target, solved) {
+  const counts = new Map();
+  for (const colorIndex of solved.flat()) {
+    counts.set(colorIndex, (counts.get(colorIndex) || 0) + 1);
+  }
+  for (const colorIndex of target.flat()) {
+    const count = counts.get(colorIndex) || 0;
+    if (count === 0) {
+      return false;
+    }
+    counts.set(colorIndex, count - 1);
+  }
+  return true;
+}
@@ -0,0 +1,83 @@
+import { TorusPuzzle } from "./puzzle.js";
+
+// The board as a permutation of cells (cell index iu * vCells + iv): `permutation[home]`
+// is the cell now holding the sticker that started at `home`. This tracks sticker
+// identities, so a solved-looking board that is shifted as a whole is not the identity.
+export function stickerPermutation(puzzle) {
+  const permutation = new Int32Array(puzzle.uCells * puzzle.vCells);
+  for (const sticker of puzzle.stickers) {
+    permutation[sticker.initialIu * puzzle.vCells + sticker.initialIv] = sticker.iu * puzzle.vCells + sticker.iv;
+  }
+  return permutation;
+}
+
+// Cycles of length 2 or more, each starting at its lowest cell and following the
+// stickers: the sticker from cycle[0] is now at cycle[1], and so on back round to cycle[0].
+// Longest cycles come first.
+export function cycleDecomposition(permutation) {
+  const seen = new Uint8Array(permutation.length);
+  const cycles = [];
+  for (let start = 0; start < permutation.length; start += 1) {
+    if (seen[start] || permutation[start] === start) {
+      continue;
+    }
+    const cycle = [];
+    for (let cell = start; !seen[cell]; cell = permutation[cell]) {
+      seen[cell] = 1;
+      cycle.push(cell);
+    }
+    cycles.push(cycle);
+  }
+  return cycles.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+// A k-cycle is k - 1 transpositions.
+export function cycleParity(cycles) {
+  const transpositions = cycles.reduce((total, cycle) => total + cycle.length - 1, 0);
+  return transpositions % 2 === 0 ? "even" : "odd";
+}
+
+// Least common multiple of the cycle lengths, as a BigInt: on large boards the order of a
+// permutation quickly passes Number.MAX_SAFE_INTEGER.
+export function cycleOrder(cycles) {
+  let order = 1n;
+  for (const cycle of cycles) {
+    const length = BigInt(cycle.length);
+    order = (order / greatestCommonDivisor(order, length)) * length;
+  }
+  return order;
+}
+
+// Everything the analysis panel shows about the current board.
+export function analyzePermutation(puzzle) {
+  const cycles = cycleDecomposition(stickerPermutation(puzzle));
+  return {
+    cellCount: puzzle.uCells * puzzle.vCells,
+    cycles,
+    misplaced: cycles.reduce((total, cycle) => total + cycle.length, 0),
+    parity: cycleParity(cycles),
+    order: cycleOrder(cycles),
+  };
+}
+
+// How many times `moves` must be repeated from any position to come back to it, worked
+// out on a solved scratch board with the same size, topology and diagonal setting.
+export function sequenceOrder(moves, puzzle) {
+  const scratch = new TorusPuzzle({
+    uCells: puzzle.uCells,
+    vCells: puzzle.vCells,
+    topology: puzzle.topology.id,
+    diagonals: puzzle.diagonals,
+  });
+  scratch.applyMoves(moves);
+  const cycles = cycleDecomposition(stickerPermutation(scratch));
+  return { order: cycleOrder(cycles), cycles, parity: cycleParity(cycles) };
+}
+
+export function formatCycleType(cycles) {
+  return cycles.length === 0 ? "identity" : cycles.map((cycle) => cycle.length).join(" + ");
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0n ? a : greatestCommonDivisor(b, a % b);
+}
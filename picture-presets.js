@@ -0,0 +1,112 @@
+export const PICTURE_WIDTH = 1024;
+export const PICTURE_HEIGHT = 512;
+
+export const PICTURE_PRESETS = [
+  {
+    id: "sunset",
+    label: "Sunset",
+    draw: drawSunset,
+  },
+  {
+    id: "sunburst",
+    label: "Sunburst",
+    draw: drawSunburst,
+  },
+];
+
+export function getPicturePreset(id) {
+  return PICTURE_PRESETS.find((preset) => preset.id === id) || null;
+}
+
+export function renderPicturePreset(preset) {
+  const canvas = document.createElement("canvas");
+  canvas.width = PICTURE_WIDTH;
+  canvas.height = PICTURE_HEIGHT;
+  preset.draw(canvas.getContext("2d"), PICTURE_WIDTH, PICTURE_HEIGHT);
+  return canvas;
+}
+
+function drawSunset(ctx, width, height) {
+  const horizon = height * 0.58;
+
+  const sky = ctx.createLinearGradient(0, 0, 0, horizon);
+  sky.addColorStop(0, "#1d2b64");
+  sky.addColorStop(0.55, "#c0497a");
+  sky.addColorStop(1, "#f6a14b");
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, width, horizon);
+
+  ctx.fillStyle = "#ffe39a";
+  ctx.beginPath();
+  ctx.arc(width * 0.32, horizon - height * 0.02, height * 0.16, Math.PI, 0);
+  ctx.fill();
+
+  ctx.fillStyle = "#3b2a4f";
+  ctx.beginPath();
+  ctx.moveTo(0, horizon);
+  for (let x = 0; x <= width; x += width / 64) {
+    const ridge = Math.sin((x / width) * Math.PI * 6) * 0.5 + Math.sin((x / width) * Math.PI * 14) * 0.25;
+    ctx.lineTo(x, horizon - height * (0.06 + 0.05 * ridge));
+  }
+  ctx.lineTo(width, horizon);
+  ctx.closePath();
+  ctx.fill();
+
+  const sea = ctx.createLinearGradient(0, horizon, 0, height);
+  sea.addColorStop(0, "#f08a4b");
+  sea.addColorStop(1, "#123a5c");
+  ctx.fillStyle = sea;
+  ctx.fillRect(0, horizon, width, height - horizon);
+
+  ctx.strokeStyle = "rgba(255, 227, 154, 0.7)";
+  ctx.lineWidth = 3;
+  for (let row = 0; row < 9; row += 1) {
+    const y = horizon + ((row + 1) * (height - horizon)) / 10;
+    const halfWidth = width * (0.05 + row * 0.012);
+    ctx.beginPath();
+    ctx.moveTo(width * 0.32 - halfWidth, y);
+    ctx.lineTo(width * 0.32 + halfWidth, y);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+  ctx.font = `700 ${Math.round(height * 0.1)}px "Avenir Next", "Segoe UI", sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("TWISTY TORUS", width * 0.74, height * 0.2);
+}
+
+function drawSunburst(ctx, width, height) {
+  const colors = ["#d43729", "#ef9b20", "#d6bf1f", "#2a9d55", "#139f9f", "#2e84d8", "#7d4ac7", "#d64a8e"];
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.hypot(width, height);
+  const wedgeCount = colors.length * 3;
+
+  for (let wedge = 0; wedge < wedgeCount; wedge += 1) {
+    const start = (wedge / wedgeCount) * Math.PI * 2;
+    const end = ((wedge + 1) / wedgeCount) * Math.PI * 2;
+    ctx.fillStyle = colors[wedge % colors.length];
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.arc(centerX, centerY, radius, start, end);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  for (let ring = 5; ring >= 1; ring -= 1) {
+    ctx.fillStyle = ring % 2 === 0 ? "rgba(255, 250, 240, 0.55)" : "rgba(42, 42, 42, 0.35)";
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, (ring * height) / 10, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.fillStyle = "#fffaf0";
+  ctx.font = `700 ${Math.round(height * 0.09)}px "Avenir Next", "Segoe UI", sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (let index = 0; index < 4; index += 1) {
+    ctx.fillText(String(index + 1), width * (0.125 + index * 0.25), height * 0.12);
+    ctx.fillText(String.fromCharCode(65 + index), width * (0.125 + index * 0.25), height * 0.88);
+  }
+}
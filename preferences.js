@@ -0,0 +1,45 @@
+import { DEFAULT_PALETTE_ID, getPalette } from "./color-schemes.js";
+import { DEFAULT_STICKER_MARK_ID, getStickerMark } from "./sticker-marks.js";
+
+export const PREFERENCES_STORAGE_KEY = "twisty-torus:preferences";
+const PREFERENCES_VERSION = 1;
+
+// Display choices that outlive a game (palette and sticker marks). Unknown or missing
+// values fall back to the defaults, so an old or hand-edited entry never breaks loading.
+export class DisplayPreferences {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage || null;
+  }
+
+  load() {
+    const defaults = { palette: DEFAULT_PALETTE_ID, marks: DEFAULT_STICKER_MARK_ID };
+    if (!this.storage) {
+      return defaults;
+    }
+
+    try {
+      const parsed = JSON.parse(this.storage.getItem(PREFERENCES_STORAGE_KEY) || "null");
+      if (!parsed || parsed.version !== PREFERENCES_VERSION) {
+        return defaults;
+      }
+      return {
+        palette: getPalette(parsed.palette) ? parsed.palette : defaults.palette,
+        marks: getStickerMark(parsed.marks) ? parsed.marks : defaults.marks,
+      };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  save({ palette, marks }) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify({ version: PREFERENCES_VERSION, palette, marks }));
+    } catch (error) {
+      // Storage full or disabled: the choice only lasts for this session.
+    }
+  }
+}
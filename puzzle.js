@@ -0,0 +1,547 @@
+import { modulo } from "./math.js";
+import { DEFAULT_TOPOLOGY_ID, getTopology, seamRow, topologySupportsGrid } from "./topology.js";
+
+export const DEFAULT_U_CELLS = 16;
+export const DEFAULT_V_CELLS = 8;
+export const AXES = ["meridional", "longitudinal"];
+// Optional extra axes (plain torus only): rings along the (1, 1) and (1, -1) diagonals.
+export const DIAGONAL_AXES = ["diagonal", "antidiagonal"];
+const AXIS_STEPS = {
+  meridional: { du: 0, dv: 1 },
+  longitudinal: { du: 1, dv: 0 },
+  diagonal: { du: 1, dv: 1 },
+  antidiagonal: { du: 1, dv: -1 },
+};
+export const MIN_GRID_CELLS = 2;
+export const MAX_U_CELLS = 48;
+export const MAX_V_CELLS = 24;
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+// Cell step (in iu, iv) a sticker makes when its ring turns by +1 on the plain torus.
+export function axisStep(axis) {
+  return AXIS_STEPS[axis];
+}
+
+export function isDiagonalAxis(axis) {
+  return DIAGONAL_AXES.includes(axis);
+}
+
+export function parseGridSize(text) {
+  const match = /^\s*(\d+)\s*[xX×]\s*(\d+)\s*$/.exec(String(text));
+  if (!match) {
+    return null;
+  }
+
+  const uCells = Number(match[1]);
+  const vCells = Number(match[2]);
+  if (uCells < MIN_GRID_CELLS || vCells < MIN_GRID_CELLS || uCells > MAX_U_CELLS || vCells > MAX_V_CELLS) {
+    return null;
+  }
+  return { uCells, vCells };
+}
+
+export function formatGridSize(uCells, vCells) {
+  return `${uCells}x${vCells}`;
+}
+
+// A move is { axis, ringIndex, steps }, plus `width` for a wide move that turns
+// `width` adjacent rings (ringIndex and the ones after it) together.
+export function moveWidth(move) {
+  return move.width || 1;
+}
+
+export function copyMove(move) {
+  const copy = { axis: move.axis, ringIndex: move.ringIndex, steps: move.steps };
+  if (moveWidth(move) > 1) {
+    copy.width = move.width;
+  }
+  return copy;
+}
+
+export function invertMove(move) {
+  return { ...move, steps: -move.steps };
+}
+
+export function octantColorIndexForCell(iu, iv, uCells, vCells) {
+  const uCenter = ((iu + 0.5) * Math.PI * 2) / uCells;
+  const vCenter = ((iv + 0.5) * Math.PI * 2) / vCells;
+
+  // The major radius exceeds the minor radius, so the sign of x/y on the surface
+  // only depends on u and the sign of z only depends on v.
+  const bitX = Math.cos(uCenter) >= 0 ? 1 : 0;
+  const bitY = Math.sin(uCenter) >= 0 ? 1 : 0;
+  const bitZ = Math.sin(vCenter) >= 0 ? 1 : 0;
+
+  return (bitX << 2) | (bitY << 1) | bitZ;
+}
+
+export class TorusPuzzle {
+  constructor({
+    uCells = DEFAULT_U_CELLS,
+    vCells = DEFAULT_V_CELLS,
+    colorIndexForCell = octantColorIndexForCell,
+    solveRule = "colors",
+    topology = DEFAULT_TOPOLOGY_ID,
+    diagonals = false,
+  } = {}) {
+    this.uCells = uCells;
+    this.vCells = vCells;
+    this.topology = getTopology(topology);
+    if (!this.topology) {
+      throw new Error(`Unknown topology "${topology}".`);
+    }
+    if (!topologySupportsGrid(this.topology, vCells)) {
+      throw new Error(`The ${this.topology.label.toLowerCase()} needs an even number of rows, at least 4.`);
+    }
+    this.diagonals = false;
+    this.colorIndexForCell = colorIndexForCell;
+    this.solveRule = solveRule;
+    this.stickers = [];
+    this.stickerById = new Map();
+    this.board = [];
+    this.initialColorByCell = [];
+    this.rowRings = [];
+    this.longitudinalRingRows = [];
+    this.solvedSymmetries = null;
+    this.listeners = new Map();
+    this.buildStickers();
+    this.setDiagonals(diagonals);
+  }
+
+  buildStickers() {
+    this.stickers = [];
+    this.stickerById.clear();
+    this.board = Array.from({ length: this.uCells }, () => Array(this.vCells).fill(null));
+    this.initialColorByCell = Array.from({ length: this.uCells }, () => Array(this.vCells).fill(0));
+
+    let nextStickerId = 1;
+    for (let iu = 0; iu < this.uCells; iu += 1) {
+      for (let iv = 0; iv < this.vCells; iv += 1) {
+        const colorIndex = this.colorIndexForCell(iu, iv, this.uCells, this.vCells);
+        this.initialColorByCell[iu][iv] = colorIndex;
+
+        const sticker = {
+          id: `sticker-${nextStickerId}`,
+          iu,
+          iv,
+          initialIu: iu,
+          initialIv: iv,
+          colorIndex,
+        };
+        nextStickerId += 1;
+
+        this.stickers.push(sticker);
+        this.stickerById.set(sticker.id, sticker);
+        this.board[iu][iv] = sticker;
+      }
+    }
+    this.buildRings();
+  }
+
+  // Longitudinal rings follow the u seam, so one ring can run through several rows
+  // (both mirrored rows on a Klein bottle, two rows half a turn apart on a twisted torus).
+  // A ring is numbered by the lowest row it passes through.
+  buildRings() {
+    this.rowRings = Array(this.vCells).fill(-1);
+    this.longitudinalRingRows = [];
+    this.solvedSymmetries = null;
+    for (let iv = 0; iv < this.vCells; iv += 1) {
+      if (this.rowRings[iv] !== -1) {
+        continue;
+      }
+      const rows = [];
+      let row = iv;
+      do {
+        this.rowRings[row] = this.longitudinalRingRows.length;
+        rows.push(row);
+        row = seamRow(this.topology, row, this.vCells);
+      } while (row !== iv);
+      this.longitudinalRingRows.push(rows);
+    }
+  }
+
+  // A grid the current topology cannot glue falls back to the plain torus.
+  resize(uCells, vCells) {
+    this.uCells = uCells;
+    this.vCells = vCells;
+    if (!topologySupportsGrid(this.topology, vCells)) {
+      this.topology = getTopology(DEFAULT_TOPOLOGY_ID);
+    }
+    this.buildStickers();
+    this.emit("rebuild", { stickers: this.stickers });
+  }
+
+  setTopology(id) {
+    const topology = getTopology(id);
+    if (!topology) {
+      throw new Error(`Unknown topology "${id}".`);
+    }
+    if (!topologySupportsGrid(topology, this.vCells)) {
+      throw new Error(`The ${topology.label.toLowerCase()} needs an even number of rows, at least 4.`);
+    }
+    this.topology = topology;
+    if (topology.id !== DEFAULT_TOPOLOGY_ID) {
+      this.diagonals = false;
+    }
+    this.buildStickers();
+    this.emit("rebuild", { stickers: this.stickers });
+  }
+
+  // Diagonal rings only close up cleanly on the plain torus.
+  setDiagonals(enabled) {
+    if (enabled && this.topology.id !== DEFAULT_TOPOLOGY_ID) {
+      throw new Error("Diagonal moves need the plain torus.");
+    }
+    this.diagonals = Boolean(enabled);
+  }
+
+  get axes() {
+    return this.diagonals ? [...AXES, ...DIAGONAL_AXES] : AXES;
+  }
+
+  setColorIndexForCell(colorIndexForCell) {
+    this.colorIndexForCell = colorIndexForCell;
+    for (let iu = 0; iu < this.uCells; iu += 1) {
+      for (let iv = 0; iv < this.vCells; iv += 1) {
+        this.initialColorByCell[iu][iv] = colorIndexForCell(iu, iv, this.uCells, this.vCells);
+      }
+    }
+
+    for (const sticker of this.stickers) {
+      sticker.colorIndex = this.initialColorByCell[sticker.initialIu][sticker.initialIv];
+    }
+    this.emit("recolor", { stickers: this.stickers });
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  emit(type, payload) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of Array.from(listeners)) {
+      listener(payload);
+    }
+  }
+
+  stickerAt(iu, iv) {
+    return this.board[modulo(iu, this.uCells)][modulo(iv, this.vCells)];
+  }
+
+  // Diagonal ring r holds the cells with iv - iu = r (anti-diagonal: iv + iu = r) modulo
+  // gcd(uCells, vCells), which is also how many rings each diagonal axis has.
+  ringIndexForSticker(axis, sticker) {
+    if (isDiagonalAxis(axis)) {
+      return modulo(sticker.iv - axisStep(axis).dv * sticker.iu, this.ringCount(axis));
+    }
+    return axis === "meridional" ? sticker.iu : this.rowRings[sticker.iv];
+  }
+
+  ringLength(axis, ringIndex = 0) {
+    if (isDiagonalAxis(axis)) {
+      return (this.uCells * this.vCells) / this.ringCount(axis);
+    }
+    return axis === "meridional" ? this.vCells : this.uCells * this.longitudinalRingRows[ringIndex].length;
+  }
+
+  ringCount(axis) {
+    if (isDiagonalAxis(axis)) {
+      return greatestCommonDivisor(this.uCells, this.vCells);
+    }
+    return axis === "meridional" ? this.uCells : this.longitudinalRingRows.length;
+  }
+
+  // Cells of a ring in the order its stickers travel for positive steps.
+  ringCells(axis, ringIndex) {
+    if (axis === "meridional") {
+      return Array.from({ length: this.vCells }, (_, iv) => ({ iu: ringIndex, iv }));
+    }
+    if (isDiagonalAxis(axis)) {
+      const { dv } = axisStep(axis);
+      return Array.from({ length: this.ringLength(axis) }, (_, step) => ({
+        iu: step % this.uCells,
+        iv: modulo(ringIndex + step * dv, this.vCells),
+      }));
+    }
+    return this.longitudinalRingRows[ringIndex].flatMap((iv) =>
+      Array.from({ length: this.uCells }, (_, iu) => ({ iu, iv }))
+    );
+  }
+
+  // Rings turned by a wide move, wrapping around past the last ring of the axis.
+  wideRingIndices(axis, ringIndex, width = 1) {
+    const count = this.ringCount(axis);
+    return Array.from({ length: Math.min(width, count) }, (_, offset) => modulo(ringIndex + offset, count));
+  }
+
+  getRingStickers(axis, ringIndex, width = 1) {
+    return this.wideRingIndices(axis, ringIndex, width).flatMap((index) =>
+      this.ringCells(axis, index).map(({ iu, iv }) => this.board[iu][iv])
+    );
+  }
+
+  rebuildBoardMapping() {
+    for (let iu = 0; iu < this.uCells; iu += 1) {
+      this.board[iu].fill(null);
+    }
+
+    for (const sticker of this.stickers) {
+      this.board[sticker.iu][sticker.iv] = sticker;
+    }
+  }
+
+  applyRingSteps(axis, ringIndex, steps, width = 1) {
+    if (!steps) {
+      return;
+    }
+
+    const movingStickers = [];
+    for (const index of this.wideRingIndices(axis, ringIndex, width)) {
+      const cells = this.ringCells(axis, index);
+      const ringStickers = cells.map(({ iu, iv }) => this.board[iu][iv]);
+      ringStickers.forEach((sticker, position) => {
+        const target = cells[modulo(position + steps, cells.length)];
+        sticker.iu = target.iu;
+        sticker.iv = target.iv;
+      });
+      movingStickers.push(...ringStickers);
+    }
+
+    this.rebuildBoardMapping();
+    this.emit("move", { axis, ringIndex, steps, width, stickers: movingStickers });
+  }
+
+  applyMove(move) {
+    this.applyRingSteps(move.axis, move.ringIndex, move.steps, moveWidth(move));
+  }
+
+  applyMoves(moves) {
+    for (const move of moves) {
+      this.applyMove(move);
+    }
+  }
+
+  randomMove(random = Math.random) {
+    if (this.diagonals) {
+      const axis = this.axes[Math.floor(random() * this.axes.length)];
+      return {
+        axis,
+        ringIndex: Math.floor(random() * this.ringCount(axis)),
+        steps: random() < 0.5 ? 1 : -1,
+      };
+    }
+
+    const randomIu = Math.floor(random() * this.uCells);
+    const randomIv = Math.floor(random() * this.vCells);
+    const direction = Math.floor(random() * 4);
+    const axis = direction < 2 ? "meridional" : "longitudinal";
+    return {
+      axis,
+      ringIndex: axis === "meridional" ? randomIu : this.rowRings[randomIv],
+      steps: direction % 2 === 0 ? 1 : -1,
+    };
+  }
+
+  // Ring indices do not depend on the board, so a scramble can be generated up front
+  // and played back later (e.g. animated) with the same result as `scramble`.
+  scrambleMoves(moveCount, random = Math.random) {
+    const moves = [];
+    for (let step = 0; step < moveCount; step += 1) {
+      moves.push(this.randomMove(random));
+    }
+    return moves;
+  }
+
+  scramble(moveCount, random = Math.random) {
+    const moves = this.scrambleMoves(moveCount, random);
+    this.applyMoves(moves);
+    return moves;
+  }
+
+  matchesInitialColorsWithShift(du, dv) {
+    for (let iu = 0; iu < this.uCells; iu += 1) {
+      const sourceColumn = this.initialColorByCell[modulo(iu - du, this.uCells)];
+      for (let iv = 0; iv < this.vCells; iv += 1) {
+        if (this.board[iu][iv].colorIndex !== sourceColumn[modulo(iv - dv, this.vCells)]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  findSolvedShift() {
+    for (let du = 0; du < this.uCells; du += 1) {
+      for (let dv = 0; dv < this.vCells; dv += 1) {
+        if (this.matchesInitialColorsWithShift(du, dv)) {
+          return { du, dv };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Rigid motions of the whole surface as cell permutations (cell index iu * vCells + iv).
+  // They keep the u direction; v may come back reversed, which on a Klein bottle happens
+  // to the part of the board that is carried across the seam. On a plain torus these are
+  // exactly the shifts tried by `findSolvedShift`. A motion is fixed by where it sends
+  // cell 0 (and, on a Klein bottle, which way v points there), so each candidate is grown
+  // outwards from cell 0 and dropped as soon as two paths disagree.
+  getSolvedSymmetries() {
+    if (this.solvedSymmetries) {
+      return this.solvedSymmetries;
+    }
+
+    const { uCells, vCells, topology } = this;
+    const cellCount = uCells * vCells;
+    const stepU = new Int32Array(cellCount);
+    const stepV = new Int32Array(cellCount);
+    const stepVBack = new Int32Array(cellCount);
+    for (let iu = 0; iu < uCells; iu += 1) {
+      for (let iv = 0; iv < vCells; iv += 1) {
+        const cell = iu * vCells + iv;
+        stepU[cell] = iu + 1 < uCells ? cell + vCells : seamRow(topology, iv, vCells);
+        stepV[cell] = iu * vCells + modulo(iv + 1, vCells);
+        stepVBack[stepV[cell]] = cell;
+      }
+    }
+    const flipsAcrossSeam = (cell) => topology.flip && cell >= (uCells - 1) * vCells;
+
+    const symmetries = [];
+    for (const startSign of topology.flip ? [1, -1] : [1]) {
+      for (let origin = 0; origin < cellCount; origin += 1) {
+        const permutation = new Int32Array(cellCount).fill(-1);
+        const sign = new Int8Array(cellCount);
+        permutation[0] = origin;
+        sign[0] = startSign;
+        const queue = [0];
+        let consistent = true;
+        for (let index = 0; index < queue.length && consistent; index += 1) {
+          const cell = queue[index];
+          const image = permutation[cell];
+          const uSign = flipsAcrossSeam(cell) !== flipsAcrossSeam(image) ? -sign[cell] : sign[cell];
+          for (const [from, to, toSign] of [
+            [stepU[cell], stepU[image], uSign],
+            [stepV[cell], sign[cell] > 0 ? stepV[image] : stepVBack[image], sign[cell]],
+          ]) {
+            if (permutation[from] === -1) {
+              permutation[from] = to;
+              sign[from] = toSign;
+              queue.push(from);
+            } else if (permutation[from] !== to || sign[from] !== toSign) {
+              consistent = false;
+            }
+          }
+        }
+        if (consistent) {
+          symmetries.push(permutation);
+        }
+      }
+    }
+
+    this.solvedSymmetries = symmetries;
+    return symmetries;
+  }
+
+  findSolvedSymmetry() {
+    for (const permutation of this.getSolvedSymmetries()) {
+      let matches = true;
+      for (let cell = 0; cell < permutation.length && matches; cell += 1) {
+        const target = permutation[cell];
+        const sticker = this.board[Math.floor(target / this.vCells)][target % this.vCells];
+        matches = sticker.colorIndex === this.initialColorByCell[Math.floor(cell / this.vCells)][cell % this.vCells];
+      }
+      if (matches) {
+        return permutation;
+      }
+    }
+    return null;
+  }
+
+  isSolvedExactly() {
+    return this.stickers.every((sticker) => sticker.iu === sticker.initialIu && sticker.iv === sticker.initialIv);
+  }
+
+  isSolved() {
+    if (this.solveRule === "exact") {
+      return this.isSolvedExactly();
+    }
+    if (this.topology.id !== DEFAULT_TOPOLOGY_ID) {
+      return this.findSolvedSymmetry() !== null;
+    }
+    return this.findSolvedShift() !== null;
+  }
+
+  // Share of cells (0 to 1) showing their solved color under the best matching rigid
+  // motion, or the share of stickers at home under the exact rule; 1 when solved.
+  solvedFraction() {
+    const cellCount = this.uCells * this.vCells;
+    if (this.solveRule === "exact") {
+      const home = this.stickers.filter(({ iu, iv, initialIu, initialIv }) => iu === initialIu && iv === initialIv);
+      return home.length / cellCount;
+    }
+
+    let best = 0;
+    for (const permutation of this.getSolvedSymmetries()) {
+      let matches = 0;
+      for (let cell = 0; cell < permutation.length; cell += 1) {
+        const target = permutation[cell];
+        const sticker = this.board[Math.floor(target / this.vCells)][target % this.vCells];
+        if (sticker.colorIndex === this.initialColorByCell[Math.floor(cell / this.vCells)][cell % this.vCells]) {
+          matches += 1;
+        }
+      }
+      best = Math.max(best, matches);
+    }
+    return best / cellCount;
+  }
+
+  // Puts every sticker at the cell given by `positions` ({ iu, iv } in sticker order),
+  // e.g. a position computed on another TorusPuzzle of the same size.
+  restoreStickerPositions(positions) {
+    if (positions.length !== this.stickers.length) {
+      throw new Error("Sticker positions do not match the board size.");
+    }
+    const cells = new Set(
+      positions.map(({ iu, iv }) => modulo(iu, this.uCells) * this.vCells + modulo(iv, this.vCells))
+    );
+    if (cells.size !== this.stickers.length) {
+      throw new Error("Sticker positions overlap.");
+    }
+
+    this.stickers.forEach((sticker, index) => {
+      sticker.iu = modulo(positions[index].iu, this.uCells);
+      sticker.iv = modulo(positions[index].iv, this.vCells);
+    });
+    this.rebuildBoardMapping();
+    this.emit("restore", { stickers: this.stickers });
+  }
+
+  reset() {
+    for (const sticker of this.stickers) {
+      sticker.iu = sticker.initialIu;
+      sticker.iv = sticker.initialIv;
+      sticker.colorIndex = this.initialColorByCell[sticker.initialIu][sticker.initialIv];
+    }
+
+    this.rebuildBoardMapping();
+    this.emit("reset", { stickers: this.stickers });
+  }
+}
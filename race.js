@@ -0,0 +1,174 @@
+export const DEFAULT_RACE_PORT = 8787;
+const RECONNECT_DELAYS_MS = [1000, 2000, 4000, 8000, 15000];
+// Close code the relay uses when the same player joined again from another connection.
+const CLOSE_REPLACED = 4000;
+
+// Default relay address: the bundled relay (relay/server.mjs) on the host serving the page.
+export function defaultRaceServerUrl(location = globalThis.location) {
+  const host = location && location.hostname ? location.hostname : "localhost";
+  const protocol = location && location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${host}:${DEFAULT_RACE_PORT}`;
+}
+
+export function createPlayerId() {
+  return `p-${Math.random().toString(36).slice(2, 10)}${Date.now().toString(36)}`;
+}
+
+// Client side of a race room on the relay. It joins on connect, reconnects with backoff
+// when the connection drops (rejoining with the same playerId, so the relay keeps the
+// player's place in a running race) and sends the latest progress or solve again after
+// a rejoin. The game gets callbacks:
+// - onStatus(status): "connecting", "connected", "reconnecting" or "disconnected"
+// - onRoom(room): the relay's room snapshot ({ room, players, race })
+// - onStart(race): a race started ({ seed, uCells, vCells })
+// - onError(message)
+export class RaceClient {
+  constructor({
+    url,
+    room,
+    name,
+    playerId = createPlayerId(),
+    WebSocketImpl = globalThis.WebSocket,
+    onStatus = () => {},
+    onRoom = () => {},
+    onStart = () => {},
+    onError = () => {},
+  }) {
+    if (!WebSocketImpl) {
+      throw new Error("This browser does not support WebSockets.");
+    }
+    this.url = url;
+    this.room = room;
+    this.name = name;
+    this.playerId = playerId;
+    this.WebSocketImpl = WebSocketImpl;
+    this.callbacks = { onStatus, onRoom, onStart, onError };
+    this.socket = null;
+    this.status = "disconnected";
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.closedByUser = false;
+    this.joined = false;
+    this.lastReport = null;
+  }
+
+  connect() {
+    this.closedByUser = false;
+    this.setStatus(this.reconnectAttempt === 0 ? "connecting" : "reconnecting");
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (error) {
+      this.callbacks.onError(`Cannot connect to ${this.url}: ${error.message}`);
+      this.setStatus("disconnected");
+      return;
+    }
+    this.socket = socket;
+    socket.addEventListener("open", () => {
+      this.send({ type: "join", room: this.room, name: this.name, playerId: this.playerId });
+    });
+    socket.addEventListener("message", (event) => {
+      if (this.socket === socket) {
+        this.receive(event.data);
+      }
+    });
+    socket.addEventListener("close", (event) => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.handleClose(event.code);
+      }
+    });
+  }
+
+  disconnect() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close(1000);
+    }
+    this.setStatus("disconnected");
+  }
+
+  startRace(uCells, vCells) {
+    this.lastReport = null;
+    return this.send({ type: "start", uCells, vCells });
+  }
+
+  reportProgress(moves, percent) {
+    this.lastReport = { type: "progress", moves, percent };
+    this.send(this.lastReport);
+  }
+
+  reportSolved(moves, timeMs, hintsUsed) {
+    this.lastReport = { type: "solved", moves, timeMs: Math.round(timeMs), hintsUsed };
+    this.send(this.lastReport);
+  }
+
+  send(message) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return false;
+    }
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === "welcome") {
+      this.joined = true;
+      this.reconnectAttempt = 0;
+      this.setStatus("connected");
+      if (this.lastReport) {
+        this.send(this.lastReport);
+      }
+    } else if (message.type === "room") {
+      this.callbacks.onRoom(message);
+    } else if (message.type === "start") {
+      this.lastReport = null;
+      this.callbacks.onStart(message.race);
+    } else if (message.type === "error") {
+      this.callbacks.onError(message.message);
+      if (this.status !== "connected") {
+        // The relay turned the join down (e.g. a full room).
+        this.disconnect();
+      }
+    }
+  }
+
+  handleClose(code) {
+    const retry = this.joined && !this.closedByUser && code !== CLOSE_REPLACED;
+    if (!retry || this.reconnectAttempt >= RECONNECT_DELAYS_MS.length) {
+      if (!this.joined && !this.closedByUser) {
+        this.callbacks.onError(`Cannot reach the race relay at ${this.url}.`);
+      }
+      this.setStatus("disconnected");
+      return;
+    }
+
+    this.setStatus("reconnecting");
+    const delay = RECONNECT_DELAYS_MS[this.reconnectAttempt];
+    this.reconnectAttempt += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  setStatus(status) {
+    if (status === this.status) {
+      return;
+    }
+    this.status = status;
+    this.callbacks.onStatus(status);
+  }
+}
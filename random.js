@@ -0,0 +1,44 @@
+const SEED_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+const SEED_LENGTH = 6;
+
+export function hashSeed(seed) {
+  let hash = 1779033703 ^ seed.length;
+  for (let index = 0; index < seed.length; index += 1) {
+    hash = Math.imul(hash ^ seed.charCodeAt(index), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+export function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function generateSeed() {
+  const values = new Uint32Array(SEED_LENGTH);
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    for (let index = 0; index < SEED_LENGTH; index += 1) {
+      values[index] = Math.floor(Math.random() * 4294967296);
+    }
+  }
+  return Array.from(values, (value) => SEED_ALPHABET[value % SEED_ALPHABET.length]).join("");
+}
+
+export function normalizeSeed(seed) {
+  if (typeof seed !== "string") {
+    return null;
+  }
+  const trimmed = seed.trim().slice(0, 64);
+  return trimmed.length > 0 ? trimmed : null;
+}
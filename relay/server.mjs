@@ -0,0 +1,461 @@
+// Race relay: a small WebSocket server with no dependencies, for racing the same
+// scramble live. Run it with `node relay/server.mjs` (PORT and HOST from the
+// environment, default 0.0.0.0:8787) and point the game's Race panel at it.
+//
+// Messages are JSON text frames. Clients send:
+// - { type: "join", room, name, playerId } (again after a reconnect, with the same playerId)
+// - { type: "start", uCells, vCells } to start a race for everyone in the room
+// - { type: "progress", moves, percent }
+// - { type: "solved", moves, timeMs, hintsUsed }
+// The relay answers with { type: "welcome", playerId, room }, { type: "start", race } when
+// a race starts, { type: "room", players, race } after every change and
+// { type: "error", message }. The first player to report a solve wins; the relay only
+// orders the reports and never checks a board.
+import { createHash, randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const HEARTBEAT_MS = 15000;
+const MAX_PLAYERS_PER_ROOM = 8;
+const MAX_NAME_LENGTH = 24;
+const MAX_ROOM_LENGTH = 40;
+// Same limits as parseGridSize() in puzzle.js.
+const MIN_GRID_CELLS = 2;
+const MAX_U_CELLS = 48;
+const MAX_V_CELLS = 24;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// One client socket after the upgrade: parses (masked) client frames, answers pings and
+// close frames, and sends unmasked text frames.
+class WebSocketConnection {
+  constructor(socket, { onMessage, onClose }) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+    this.alive = true;
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.finish());
+    socket.on("error", () => this.finish());
+  }
+
+  send(message) {
+    if (this.closed) {
+      return;
+    }
+    this.writeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message)));
+  }
+
+  ping() {
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    this.writeFrame(OPCODE_PING, Buffer.alloc(0));
+  }
+
+  close(code = 1000) {
+    if (this.closed) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.writeFrame(OPCODE_CLOSE, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.onClose();
+  }
+
+  writeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) {
+        return;
+      }
+      this.handleFrame(frame);
+    }
+  }
+
+  // Takes one complete frame off the buffer, or returns null until more data arrives.
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_MESSAGE_BYTES) ? MAX_MESSAGE_BYTES + 1 : Number(longLength);
+      offset = 10;
+    }
+    if (!masked || length > MAX_MESSAGE_BYTES) {
+      // Clients must mask their frames; anything this large is not a race message.
+      this.close(masked ? 1009 : 1002);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) {
+      return null;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let index = 0; index < payload.length; index += 1) {
+      payload[index] ^= mask[index % 4];
+    }
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    this.alive = true;
+    if (opcode === OPCODE_PING) {
+      this.writeFrame(OPCODE_PONG, payload);
+    } else if (opcode === OPCODE_PONG) {
+      // `alive` is already set.
+    } else if (opcode === OPCODE_CLOSE) {
+      this.close();
+    } else if (opcode === OPCODE_BINARY) {
+      this.close(1003);
+    } else if (opcode === OPCODE_TEXT || opcode === OPCODE_CONTINUATION) {
+      this.fragments.push(payload);
+      const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+      if (size > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+      } else if (fin) {
+        const text = Buffer.concat(this.fragments).toString("utf8");
+        this.fragments = [];
+        this.onMessage(text);
+      }
+    } else {
+      this.close(1002);
+    }
+  }
+}
+
+// Players in one room and the race they are running. A player who drops out keeps their
+// place (and progress) during a race so they can rejoin with the same playerId.
+class Room {
+  constructor(name) {
+    this.name = name;
+    this.players = new Map();
+    this.race = null;
+  }
+
+  get connectedCount() {
+    return Array.from(this.players.values()).filter((player) => player.connection).length;
+  }
+
+  join(playerId, name, connection) {
+    const existing = this.players.get(playerId);
+    if (existing) {
+      // A rejoin replaces a connection the relay has not noticed is gone yet.
+      const previous = existing.connection;
+      existing.connection = connection;
+      existing.name = name;
+      if (previous && previous !== connection) {
+        previous.close(4000);
+      }
+      return existing;
+    }
+    if (this.players.size >= MAX_PLAYERS_PER_ROOM) {
+      throw new Error(`Room "${this.name}" is full.`);
+    }
+
+    const player = { id: playerId, name, connection, moves: 0, percent: 0, place: null, timeMs: null };
+    this.players.set(playerId, player);
+    return player;
+  }
+
+  // Returns whether the room is now empty.
+  disconnect(player) {
+    player.connection = null;
+    if (!this.raceRunning()) {
+      this.players.delete(player.id);
+    }
+    if (this.connectedCount === 0) {
+      this.players.clear();
+      return true;
+    }
+    return false;
+  }
+
+  raceRunning() {
+    return Boolean(this.race) && !this.race.winner;
+  }
+
+  start(uCells, vCells) {
+    if (this.raceRunning()) {
+      throw new Error("A race is already running in this room.");
+    }
+    if (this.connectedCount < 2) {
+      throw new Error("A race needs at least two players.");
+    }
+    if (!isGridSize(uCells, vCells)) {
+      throw new Error("Invalid grid size.");
+    }
+
+    for (const [id, player] of this.players) {
+      if (!player.connection) {
+        this.players.delete(id);
+        continue;
+      }
+      Object.assign(player, { moves: 0, percent: 0, place: null, timeMs: null });
+    }
+    this.race = {
+      seed: `race-${randomBytes(4).toString("hex")}`,
+      uCells,
+      vCells,
+      finishers: 0,
+      winner: null,
+    };
+    return this.race;
+  }
+
+  progress(player, moves, percent) {
+    if (!this.race || player.place !== null) {
+      return;
+    }
+    player.moves = clampInteger(moves, 0, 1e6);
+    player.percent = clampInteger(percent, 0, 99);
+  }
+
+  solved(player, moves, timeMs, hintsUsed) {
+    if (!this.race || player.place !== null) {
+      return;
+    }
+    this.race.finishers += 1;
+    Object.assign(player, {
+      moves: clampInteger(moves, 0, 1e6),
+      percent: 100,
+      place: this.race.finishers,
+      timeMs: clampInteger(timeMs, 0, 1e9),
+      hintsUsed: clampInteger(hintsUsed, 0, 1e6),
+    });
+    if (!this.race.winner) {
+      this.race.winner = { playerId: player.id, name: player.name, moves: player.moves, timeMs: player.timeMs };
+    }
+  }
+
+  snapshot() {
+    return {
+      type: "room",
+      room: this.name,
+      players: Array.from(this.players.values(), (player) => ({
+        playerId: player.id,
+        name: player.name,
+        connected: Boolean(player.connection),
+        moves: player.moves,
+        percent: player.percent,
+        place: player.place,
+        timeMs: player.timeMs,
+      })),
+      race: this.race,
+    };
+  }
+
+  broadcast(message) {
+    for (const player of this.players.values()) {
+      if (player.connection) {
+        player.connection.send(message);
+      }
+    }
+  }
+}
+
+export function createRelayServer() {
+  const rooms = new Map();
+  const connections = new Set();
+
+  const server = createServer((request, response) => {
+    response.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+    response.end("Twisty Torus race relay. Connect with a WebSocket client.\n");
+  });
+
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (String(request.headers.upgrade).toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+
+    let room = null;
+    let player = null;
+    const connection = new WebSocketConnection(socket, {
+      onMessage(text) {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch (error) {
+          connection.send({ type: "error", message: "Messages must be JSON." });
+          return;
+        }
+        try {
+          handleMessage(message);
+        } catch (error) {
+          connection.send({ type: "error", message: error.message });
+        }
+      },
+      onClose() {
+        connections.delete(connection);
+        if (!room || !player || player.connection !== connection) {
+          return;
+        }
+        if (room.disconnect(player)) {
+          rooms.delete(room.name);
+        } else {
+          room.broadcast(room.snapshot());
+        }
+      },
+    });
+    connections.add(connection);
+
+    function handleMessage(message) {
+      if (!message || typeof message !== "object") {
+        throw new Error("Messages must be objects.");
+      }
+      if (message.type === "join") {
+        join(message);
+        return;
+      }
+      if (!room) {
+        throw new Error("Join a room first.");
+      }
+
+      if (message.type === "start") {
+        const race = room.start(message.uCells, message.vCells);
+        room.broadcast({ type: "start", race });
+      } else if (message.type === "progress") {
+        room.progress(player, message.moves, message.percent);
+      } else if (message.type === "solved") {
+        room.solved(player, message.moves, message.timeMs, message.hintsUsed);
+      } else {
+        throw new Error(`Unknown message type "${message.type}".`);
+      }
+      room.broadcast(room.snapshot());
+    }
+
+    function join({ room: roomName, name, playerId }) {
+      const cleanRoom = cleanText(roomName, MAX_ROOM_LENGTH);
+      const cleanName = cleanText(name, MAX_NAME_LENGTH) || "Player";
+      if (!cleanRoom) {
+        throw new Error("Pick a room name.");
+      }
+      if (typeof playerId !== "string" || !/^[\w-]{4,64}$/.test(playerId)) {
+        throw new Error("Invalid player id.");
+      }
+      if (room) {
+        throw new Error("Already in a room.");
+      }
+
+      const target = rooms.get(cleanRoom) || new Room(cleanRoom);
+      player = target.join(playerId, cleanName, connection);
+      room = target;
+      rooms.set(cleanRoom, room);
+      connection.send({ type: "welcome", playerId, room: room.name });
+      room.broadcast(room.snapshot());
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const connection of connections) {
+      connection.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  server.on("close", () => clearInterval(heartbeat));
+
+  return server;
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, maxLength) : "";
+}
+
+function clampInteger(value, min, max) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+}
+
+function isGridSize(uCells, vCells) {
+  return (
+    Number.isInteger(uCells) &&
+    Number.isInteger(vCells) &&
+    uCells >= MIN_GRID_CELLS &&
+    vCells >= MIN_GRID_CELLS &&
+    uCells <= MAX_U_CELLS &&
+    vCells <= MAX_V_CELLS
+  );
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || "0.0.0.0";
+  createRelayServer().listen(port, host, () => {
+    console.log(`Race relay listening on ws://${host}:${port}`);
+  });
+}
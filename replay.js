@@ -0,0 +1,133 @@
+import { TorusPuzzle, copyMove, formatGridSize, parseGridSize } from "./puzzle.js";
+import { formatMove, formatMoves, parseMove, parseMoves } from "./notation.js";
+import { DEFAULT_TOPOLOGY_ID, getTopology } from "./topology.js";
+
+export const REPLAY_FORMAT = "twisty-torus-replay";
+const REPLAY_VERSION = 1;
+
+// A replay is the scramble plus every move of the solve with its time (ms since the
+// first move). Boards are rebuilt by replaying the moves on a TorusPuzzle, so they
+// follow exactly the same ring logic as live play.
+export function createReplay({
+  uCells,
+  vCells,
+  topology = DEFAULT_TOPOLOGY_ID,
+  diagonals = false,
+  colorScheme = null,
+  picture = null,
+  seed = null,
+  date = new Date().toISOString(),
+  scrambleMoves,
+  moves,
+}) {
+  const timeline = moves.map(({ move, t }) => ({
+    move: copyMove(move),
+    t: Math.max(0, Math.round(t)),
+  }));
+  return {
+    uCells,
+    vCells,
+    topology,
+    diagonals,
+    colorScheme,
+    picture,
+    seed,
+    date,
+    scrambleMoves: scrambleMoves.map(copyMove),
+    moves: timeline,
+    durationMs: timeline.length > 0 ? timeline[timeline.length - 1].t : 0,
+  };
+}
+
+export function serializeReplay(replay) {
+  return JSON.stringify(
+    {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      grid: formatGridSize(replay.uCells, replay.vCells),
+      topology: replay.topology,
+      diagonals: replay.diagonals,
+      colorScheme: replay.colorScheme,
+      picture: replay.picture,
+      seed: replay.seed,
+      date: replay.date,
+      scramble: formatMoves(replay.scrambleMoves),
+      moves: replay.moves.map(({ move, t }) => ({ t, move: formatMove(move) })),
+    },
+    null,
+    2
+  );
+}
+
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error("The file is not a Twisty Torus replay.");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version}.`);
+  }
+
+  const grid = parseGridSize(data.grid || "");
+  if (!grid) {
+    throw new Error(`Invalid grid size "${data.grid}".`);
+  }
+  // Replays written before alternative topologies existed are plain torus replays.
+  const topology = data.topology === undefined ? DEFAULT_TOPOLOGY_ID : data.topology;
+  if (!getTopology(topology)) {
+    throw new Error(`Unknown topology "${topology}".`);
+  }
+  // The puzzle constructor rejects diagonal moves on other topologies.
+  const diagonals = data.diagonals === true;
+  const puzzle = new TorusPuzzle({ ...grid, topology, diagonals });
+  if (!Array.isArray(data.moves)) {
+    throw new Error("The replay has no move list.");
+  }
+
+  let lastTime = 0;
+  const moves = data.moves.map((entry, index) => {
+    if (!entry || !Number.isFinite(entry.t) || entry.t < lastTime) {
+      throw new Error(`Move ${index + 1} has an invalid time.`);
+    }
+    lastTime = entry.t;
+    return { t: entry.t, move: parseMove(String(entry.move), puzzle) };
+  });
+
+  return createReplay({
+    uCells: grid.uCells,
+    vCells: grid.vCells,
+    topology,
+    diagonals,
+    colorScheme: typeof data.colorScheme === "string" ? data.colorScheme : null,
+    picture: typeof data.picture === "string" ? data.picture : null,
+    seed: typeof data.seed === "string" ? data.seed : null,
+    date: typeof data.date === "string" ? data.date : null,
+    scrambleMoves: parseMoves(data.scramble || "", puzzle),
+    moves,
+  });
+}
+
+// Sticker positions after the scramble and the first `moveCount` moves, in sticker order.
+export function replayPositionsAt(replay, moveCount) {
+  const puzzle = new TorusPuzzle({
+    uCells: replay.uCells,
+    vCells: replay.vCells,
+    topology: replay.topology,
+    diagonals: replay.diagonals,
+  });
+  puzzle.applyMoves(replay.scrambleMoves);
+  for (let index = 0; index < moveCount && index < replay.moves.length; index += 1) {
+    puzzle.applyMove(replay.moves[index].move);
+  }
+  return puzzle.stickers.map(({ iu, iv }) => ({ iu, iv }));
+}
+
+export function replayTimeAt(replay, moveCount) {
+  return moveCount > 0 ? replay.moves[Math.min(moveCount, replay.moves.length) - 1].t : 0;
+}
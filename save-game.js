@@ -0,0 +1,197 @@
+import { TorusPuzzle, formatGridSize, parseGridSize } from "./puzzle.js";
+import { formatMove, formatMoves, parseMove, parseMoves } from "./notation.js";
+import { DEFAULT_TOPOLOGY_ID, getTopology } from "./topology.js";
+
+export const SAVE_STORAGE_KEY = "twisty-torus:save";
+const SAVE_VERSION = 1;
+
+// The unfinished game kept across reloads: sticker cells by sticker id, selection,
+// camera position, timer/session state and undo/redo history. Anything that does not
+// fit the saved grid is treated as corrupt and the whole save is dropped.
+export class GameSave {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage || null;
+  }
+
+  // `discarded` is true when a save existed but could not be used (and was removed).
+  load() {
+    if (!this.storage) {
+      return { game: null, discarded: false };
+    }
+
+    let text;
+    try {
+      text = this.storage.getItem(SAVE_STORAGE_KEY);
+    } catch (error) {
+      return { game: null, discarded: false };
+    }
+    if (!text) {
+      return { game: null, discarded: false };
+    }
+
+    try {
+      return { game: parseSavedGame(JSON.parse(text)), discarded: false };
+    } catch (error) {
+      this.clear();
+      return { game: null, discarded: true };
+    }
+  }
+
+  save(game) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(serializeGame(game)));
+    } catch (error) {
+      // Storage full or disabled: the game just will not survive a reload.
+    }
+  }
+
+  clear() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.removeItem(SAVE_STORAGE_KEY);
+    } catch (error) {
+      // Nothing to clean up if storage is unavailable.
+    }
+  }
+}
+
+function serializeGame(game) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    grid: formatGridSize(game.uCells, game.vCells),
+    topology: game.topology,
+    diagonals: game.diagonals,
+    colorScheme: game.colorScheme,
+    picture: game.picture,
+    stickers: Object.fromEntries(Object.entries(game.positions).map(([id, { iu, iv }]) => [id, [iu, iv]])),
+    selected: game.selected,
+    camera: game.camera,
+    session: {
+      scrambled: game.session.scrambled,
+      seed: game.session.seed,
+      elapsedMs: game.session.elapsedMs === null ? null : Math.round(game.session.elapsedMs),
+      running: game.session.running,
+      moveCount: game.session.moveCount,
+      hintsUsed: game.session.hintsUsed,
+      assisted: game.session.assisted,
+      scramble: formatMoves(game.session.scrambleMoves),
+      timeline: game.session.timeline.map(({ move, t }) => ({ t: Math.round(t), move: formatMove(move) })),
+      daily: game.session.daily || null,
+    },
+    history: {
+      undo: formatMoves(game.history.undo),
+      redo: formatMoves(game.history.redo),
+    },
+  };
+}
+
+// Sticker cells keyed by sticker id (`{ "sticker-1": [iu, iv], … }`), checked against
+// the stickers of `puzzle`: every sticker present, inside the grid and on its own cell.
+export function parseStickerCells(saved, puzzle) {
+  const stickerIds = puzzle.stickers.map((sticker) => sticker.id);
+  if (!saved || typeof saved !== "object" || Object.keys(saved).length !== stickerIds.length) {
+    throw new Error("Sticker list does not match the grid.");
+  }
+
+  const positions = {};
+  const usedCells = new Set();
+  for (const id of stickerIds) {
+    const cell = saved[id];
+    if (
+      !Array.isArray(cell) ||
+      !Number.isInteger(cell[0]) ||
+      !Number.isInteger(cell[1]) ||
+      cell[0] < 0 ||
+      cell[0] >= puzzle.uCells ||
+      cell[1] < 0 ||
+      cell[1] >= puzzle.vCells
+    ) {
+      throw new Error(`Invalid position for ${id}.`);
+    }
+    const key = cell[0] * puzzle.vCells + cell[1];
+    if (usedCells.has(key)) {
+      throw new Error("Two stickers share a cell.");
+    }
+    usedCells.add(key);
+    positions[id] = { iu: cell[0], iv: cell[1] };
+  }
+  return positions;
+}
+
+function parseSavedGame(data) {
+  if (!data || data.version !== SAVE_VERSION) {
+    throw new Error("Unsupported save version.");
+  }
+
+  const grid = parseGridSize(data.grid || "");
+  if (!grid) {
+    throw new Error("Invalid grid size.");
+  }
+
+  const topology = data.topology === undefined ? DEFAULT_TOPOLOGY_ID : data.topology;
+  if (!getTopology(topology)) {
+    throw new Error("Unknown topology.");
+  }
+  // The puzzle constructor rejects diagonal moves on other topologies.
+  const diagonals = data.diagonals === true;
+  const puzzle = new TorusPuzzle({ ...grid, topology, diagonals });
+  const positions = parseStickerCells(data.stickers, puzzle);
+
+  const session = data.session;
+  if (
+    !session ||
+    typeof session.scrambled !== "boolean" ||
+    !Number.isInteger(session.moveCount) ||
+    session.moveCount < 0 ||
+    !Number.isInteger(session.hintsUsed) ||
+    (session.elapsedMs !== null && !(Number.isFinite(session.elapsedMs) && session.elapsedMs >= 0)) ||
+    !Array.isArray(session.timeline)
+  ) {
+    throw new Error("Invalid session.");
+  }
+
+  const camera =
+    Array.isArray(data.camera) && data.camera.length === 3 && data.camera.every(Number.isFinite) ? data.camera : null;
+
+  return {
+    uCells: grid.uCells,
+    vCells: grid.vCells,
+    topology,
+    diagonals,
+    colorScheme: typeof data.colorScheme === "string" ? data.colorScheme : null,
+    picture: typeof data.picture === "string" ? data.picture : null,
+    positions,
+    selected: typeof data.selected === "string" && positions[data.selected] ? data.selected : null,
+    camera,
+    session: {
+      scrambled: session.scrambled,
+      seed: typeof session.seed === "string" ? session.seed : null,
+      elapsedMs: session.elapsedMs,
+      running: Boolean(session.running),
+      moveCount: session.moveCount,
+      hintsUsed: session.hintsUsed,
+      assisted: Boolean(session.assisted),
+      scrambleMoves: parseMoves(session.scramble || "", puzzle),
+      timeline: session.timeline.map((entry) => {
+        if (!entry || !Number.isFinite(entry.t)) {
+          throw new Error("Invalid timeline entry.");
+        }
+        return { t: entry.t, move: parseMove(String(entry.move), puzzle) };
+      }),
+      daily: typeof session.daily === "string" ? session.daily : null,
+    },
+    history: {
+      undo: parseMoves((data.history && data.history.undo) || "", puzzle),
+      redo: parseMoves((data.history && data.history.redo) || "", puzzle),
+    },
+    savedAt: typeof data.savedAt === "string" ? data.savedAt : null,
+  };
+}
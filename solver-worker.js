@@ -0,0 +1,10 @@
+import { solveSnapshot } from "./solver.js";
+
+self.addEventListener("message", (event) => {
+  const { requestId, snapshot } = event.data;
+  try {
+    self.postMessage({ requestId, moves: solveSnapshot(snapshot) });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+});
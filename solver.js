@@ -0,0 +1,410 @@
+import { modulo } from "./math.js";
+
+const MAX_SETUP_DEPTH = 4;
+
+// Solves by placing one sticker at a time with 3-cycles. The basic 3-cycle is the
+// commutator M_i^k L_j^m M_i^-k L_j^-m, which cycles (i, j-k) -> (i, j) -> (i-m, j)
+// and leaves every other cell alone. Any other three cells are cycled by conjugating
+// it with a short setup sequence that brings them into that L shape.
+export function solveSnapshot(snapshot) {
+  if (snapshot.topology && snapshot.topology !== "torus") {
+    throw new Error("The solver only handles the plain torus.");
+  }
+
+  const state = createSolverState(snapshot);
+  const moves = [];
+
+  if (isSnapshotSolved(state)) {
+    return moves;
+  }
+
+  let destinations = assignDestinations(state);
+  if (permutationParity(state, destinations) === 1) {
+    const parityMove = findOddMove(state);
+    if (!parityMove) {
+      throw new Error("This position cannot be solved.");
+    }
+    applyMoveToState(state, parityMove);
+    moves.push(parityMove);
+    destinations = assignDestinations(state);
+    if (permutationParity(state, destinations) === 1) {
+      throw new Error("This position cannot be solved.");
+    }
+  }
+
+  placeStickers(state, destinations, moves);
+  return simplifyMoves(moves, state);
+}
+
+export function snapshotFromPuzzle(puzzle) {
+  return {
+    uCells: puzzle.uCells,
+    vCells: puzzle.vCells,
+    solveRule: puzzle.solveRule,
+    topology: puzzle.topology.id,
+    stickers: puzzle.stickers.map((sticker) => ({
+      iu: sticker.iu,
+      iv: sticker.iv,
+      initialIu: sticker.initialIu,
+      initialIv: sticker.initialIv,
+      colorIndex: sticker.colorIndex,
+    })),
+    initialColorByCell: puzzle.initialColorByCell.map((column) => column.slice()),
+  };
+}
+
+function createSolverState(snapshot) {
+  const { uCells, vCells } = snapshot;
+  const cellCount = uCells * vCells;
+  const occupant = new Array(cellCount).fill(-1);
+  const positionOf = new Array(snapshot.stickers.length).fill(-1);
+  const colorOf = snapshot.stickers.map((sticker) => sticker.colorIndex);
+  const homeOf = snapshot.stickers.map((sticker) => sticker.initialIu * vCells + sticker.initialIv);
+
+  snapshot.stickers.forEach((sticker, index) => {
+    const cell = sticker.iu * vCells + sticker.iv;
+    occupant[cell] = index;
+    positionOf[index] = cell;
+  });
+
+  return {
+    uCells,
+    vCells,
+    cellCount,
+    exact: snapshot.solveRule === "exact",
+    initialColorByCell: snapshot.initialColorByCell,
+    occupant,
+    positionOf,
+    colorOf,
+    homeOf,
+  };
+}
+
+function targetColorAt(state, cell, shift) {
+  const iu = Math.floor(cell / state.vCells);
+  const iv = cell % state.vCells;
+  return state.initialColorByCell[modulo(iu - shift.du, state.uCells)][modulo(iv - shift.dv, state.vCells)];
+}
+
+function isSnapshotSolved(state) {
+  if (state.exact) {
+    return state.occupant.every((sticker, cell) => state.homeOf[sticker] === cell);
+  }
+  return chooseShift(state).mismatches === 0;
+}
+
+function chooseShift(state) {
+  let best = { du: 0, dv: 0, mismatches: Infinity };
+  for (let du = 0; du < state.uCells; du += 1) {
+    for (let dv = 0; dv < state.vCells; dv += 1) {
+      const shift = { du, dv };
+      let mismatches = 0;
+      for (let cell = 0; cell < state.cellCount && mismatches < best.mismatches; cell += 1) {
+        if (state.colorOf[state.occupant[cell]] !== targetColorAt(state, cell, shift)) {
+          mismatches += 1;
+        }
+      }
+      if (mismatches < best.mismatches) {
+        best = { du, dv, mismatches };
+      }
+    }
+  }
+  return best;
+}
+
+// All shifts of the solved coloring, fewest mismatches first.
+function rankShifts(state) {
+  const shifts = [];
+  for (let du = 0; du < state.uCells; du += 1) {
+    for (let dv = 0; dv < state.vCells; dv += 1) {
+      const shift = { du, dv, mismatches: 0 };
+      for (let cell = 0; cell < state.cellCount; cell += 1) {
+        if (state.colorOf[state.occupant[cell]] !== targetColorAt(state, cell, shift)) {
+          shift.mismatches += 1;
+        }
+      }
+      shifts.push(shift);
+    }
+  }
+  return shifts.sort((a, b) => a.mismatches - b.mismatches);
+}
+
+// 3-cycles only make even permutations, so the target must be an even permutation of
+// the current board. Shifts are tried from the fewest mismatches up: different shifts
+// can have different parities, and without two same-colored stickers to swap (e.g. 3x2)
+// the best shift may be odd. If every shift is odd, the stickers' home cells are the
+// target; the caller fixes their parity with one odd move.
+function assignDestinations(state) {
+  if (!state.exact) {
+    for (const shift of rankShifts(state)) {
+      const destinations = assignShiftDestinations(state, shift);
+      if (permutationParity(state, destinations) === 0) {
+        return destinations;
+      }
+    }
+  }
+
+  const destinations = new Array(state.colorOf.length).fill(-1);
+  state.homeOf.forEach((home, sticker) => {
+    destinations[sticker] = home;
+  });
+  return destinations;
+}
+
+function assignShiftDestinations(state, shift) {
+  const destinations = new Array(state.colorOf.length).fill(-1);
+  const openCellsByColor = new Map();
+  for (let cell = 0; cell < state.cellCount; cell += 1) {
+    const sticker = state.occupant[cell];
+    const wantedColor = targetColorAt(state, cell, shift);
+    if (state.colorOf[sticker] === wantedColor) {
+      destinations[sticker] = cell;
+      continue;
+    }
+    if (!openCellsByColor.has(wantedColor)) {
+      openCellsByColor.set(wantedColor, []);
+    }
+    openCellsByColor.get(wantedColor).push(cell);
+  }
+
+  for (let cell = 0; cell < state.cellCount; cell += 1) {
+    const sticker = state.occupant[cell];
+    if (destinations[sticker] !== -1) {
+      continue;
+    }
+    destinations[sticker] = openCellsByColor.get(state.colorOf[sticker]).shift();
+  }
+
+  if (permutationParity(state, destinations) === 1) {
+    swapSameColorDestinations(state, destinations);
+  }
+  return destinations;
+}
+
+function swapSameColorDestinations(state, destinations) {
+  const firstStickerByColor = new Map();
+  for (let sticker = 0; sticker < state.colorOf.length; sticker += 1) {
+    const color = state.colorOf[sticker];
+    if (!firstStickerByColor.has(color)) {
+      firstStickerByColor.set(color, sticker);
+      continue;
+    }
+    const other = firstStickerByColor.get(color);
+    const swapped = destinations[other];
+    destinations[other] = destinations[sticker];
+    destinations[sticker] = swapped;
+    return;
+  }
+}
+
+function permutationParity(state, destinations) {
+  const visited = new Array(state.cellCount).fill(false);
+  let parity = 0;
+  for (let cell = 0; cell < state.cellCount; cell += 1) {
+    if (visited[cell]) {
+      continue;
+    }
+    let length = 0;
+    let cursor = cell;
+    while (!visited[cursor]) {
+      visited[cursor] = true;
+      cursor = destinations[state.occupant[cursor]];
+      length += 1;
+    }
+    parity ^= (length - 1) & 1;
+  }
+  return parity;
+}
+
+function findOddMove(state) {
+  if (state.vCells % 2 === 0) {
+    return { axis: "meridional", ringIndex: 0, steps: 1 };
+  }
+  if (state.uCells % 2 === 0) {
+    return { axis: "longitudinal", ringIndex: 0, steps: 1 };
+  }
+  return null;
+}
+
+function applyMoveToState(state, move) {
+  const moved = [];
+  for (let cell = 0; cell < state.cellCount; cell += 1) {
+    const point = cellToPoint(state, cell);
+    const next = movePoint(state, point, move);
+    if (next.iu !== point.iu || next.iv !== point.iv) {
+      moved.push({ sticker: state.occupant[cell], cell: pointToCell(state, next) });
+    }
+  }
+  for (const { sticker, cell } of moved) {
+    state.occupant[cell] = sticker;
+    state.positionOf[sticker] = cell;
+  }
+}
+
+function cellToPoint(state, cell) {
+  return { iu: Math.floor(cell / state.vCells), iv: cell % state.vCells };
+}
+
+function pointToCell(state, point) {
+  return point.iu * state.vCells + point.iv;
+}
+
+function movePoint(state, point, move) {
+  if (move.axis === "meridional" && point.iu === move.ringIndex) {
+    return { iu: point.iu, iv: modulo(point.iv + move.steps, state.vCells) };
+  }
+  if (move.axis === "longitudinal" && point.iv === move.ringIndex) {
+    return { iu: modulo(point.iu + move.steps, state.uCells), iv: point.iv };
+  }
+  return point;
+}
+
+function placeStickers(state, destinations, moves) {
+  const stickerForCell = new Array(state.cellCount).fill(-1);
+  destinations.forEach((cell, sticker) => {
+    stickerForCell[cell] = sticker;
+  });
+
+  const locked = new Array(state.cellCount).fill(false);
+  for (let target = 0; target < state.cellCount; target += 1) {
+    const wanted = stickerForCell[target];
+    if (state.occupant[target] !== wanted) {
+      const from = state.positionOf[wanted];
+      const spare = chooseSpareCell(state, destinations, locked, from, target);
+      if (spare === -1) {
+        throw new Error("This position cannot be solved.");
+      }
+      const cycleMoves = threeCycleMoves(state, from, target, spare);
+      for (const move of cycleMoves) {
+        applyMoveToState(state, move);
+        moves.push(move);
+      }
+    }
+    locked[target] = true;
+  }
+}
+
+function chooseSpareCell(state, destinations, locked, from, target) {
+  const displacedHome = destinations[state.occupant[target]];
+  if (displacedHome !== from && displacedHome !== target && !locked[displacedHome]) {
+    return displacedHome;
+  }
+
+  for (let cell = state.cellCount - 1; cell >= 0; cell -= 1) {
+    if (!locked[cell] && cell !== from && cell !== target) {
+      return cell;
+    }
+  }
+  return -1;
+}
+
+// Moves that send the sticker at `a` to `b`, the one at `b` to `c`, and the one at `c` to `a`.
+function threeCycleMoves(state, a, b, c) {
+  const points = [cellToPoint(state, a), cellToPoint(state, b), cellToPoint(state, c)];
+  for (let depth = 0; depth <= MAX_SETUP_DEPTH; depth += 1) {
+    const found = searchSetup(state, points, [], depth);
+    if (found) {
+      const inverseSetup = found.setup
+        .slice()
+        .reverse()
+        .map((move) => ({ ...move, steps: -move.steps }));
+      return found.setup.concat(found.commutator, inverseSetup);
+    }
+  }
+  throw new Error("No setup found for 3-cycle.");
+}
+
+function searchSetup(state, points, setup, depth) {
+  if (depth === 0) {
+    const commutator = commutatorForCycle(state, points);
+    return commutator ? { setup, commutator } : null;
+  }
+
+  for (const move of candidateSetupMoves(state, points)) {
+    const lastMove = setup[setup.length - 1];
+    if (lastMove && lastMove.axis === move.axis && lastMove.ringIndex === move.ringIndex) {
+      continue;
+    }
+    const movedPoints = points.map((point) => movePoint(state, point, move));
+    const found = searchSetup(state, movedPoints, setup.concat([move]), depth - 1);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function candidateSetupMoves(state, points) {
+  const moves = [];
+  const seen = new Set();
+  for (const point of points) {
+    const rings = [
+      { axis: "meridional", ringIndex: point.iu, length: state.vCells },
+      { axis: "longitudinal", ringIndex: point.iv, length: state.uCells },
+    ];
+    for (const ring of rings) {
+      const key = `${ring.axis}:${ring.ringIndex}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      for (let steps = 1; steps < ring.length; steps += 1) {
+        moves.push({ axis: ring.axis, ringIndex: ring.ringIndex, steps: shortestSteps(steps, ring.length) });
+      }
+    }
+  }
+  return moves;
+}
+
+function commutatorForCycle(state, points) {
+  for (let rotation = 0; rotation < 3; rotation += 1) {
+    const x = points[rotation];
+    const y = points[(rotation + 1) % 3];
+    const z = points[(rotation + 2) % 3];
+
+    if (x.iu === y.iu && z.iv === y.iv) {
+      const k = shortestSteps(y.iv - x.iv, state.vCells);
+      const m = shortestSteps(y.iu - z.iu, state.uCells);
+      return [
+        { axis: "meridional", ringIndex: y.iu, steps: k },
+        { axis: "longitudinal", ringIndex: y.iv, steps: m },
+        { axis: "meridional", ringIndex: y.iu, steps: -k },
+        { axis: "longitudinal", ringIndex: y.iv, steps: -m },
+      ];
+    }
+
+    if (x.iv === y.iv && z.iu === y.iu) {
+      const m = shortestSteps(y.iu - x.iu, state.uCells);
+      const k = shortestSteps(y.iv - z.iv, state.vCells);
+      return [
+        { axis: "longitudinal", ringIndex: y.iv, steps: m },
+        { axis: "meridional", ringIndex: y.iu, steps: k },
+        { axis: "longitudinal", ringIndex: y.iv, steps: -m },
+        { axis: "meridional", ringIndex: y.iu, steps: -k },
+      ];
+    }
+  }
+  return null;
+}
+
+function shortestSteps(steps, length) {
+  const normalized = modulo(steps, length);
+  return normalized > length / 2 ? normalized - length : normalized;
+}
+
+function simplifyMoves(moves, state) {
+  const simplified = [];
+  for (const move of moves) {
+    const last = simplified[simplified.length - 1];
+    if (last && last.axis === move.axis && last.ringIndex === move.ringIndex) {
+      const length = move.axis === "meridional" ? state.vCells : state.uCells;
+      last.steps = shortestSteps(last.steps + move.steps, length);
+      if (last.steps === 0) {
+        simplified.pop();
+      }
+      continue;
+    }
+    simplified.push({ ...move });
+  }
+  return simplified;
+}
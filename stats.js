@@ -0,0 +1,105 @@
+export const STATS_STORAGE_KEY = "twisty-torus:stats";
+const STATS_VERSION = 1;
+const MAX_STORED_SOLVES = 500;
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) {
+    return "--";
+  }
+
+  const totalCentiseconds = Math.floor(Math.max(0, ms) / 10);
+  const centiseconds = totalCentiseconds % 100;
+  const totalSeconds = Math.floor(totalCentiseconds / 100);
+  const seconds = totalSeconds % 60;
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(seconds).padStart(2, "0")}.${String(centiseconds).padStart(2, "0")}`;
+}
+
+// Trimmed average of the most recent `count` times: the best and worst are dropped.
+export function averageOf(times, count) {
+  if (times.length < count) {
+    return null;
+  }
+
+  const recent = times.slice(-count).sort((a, b) => a - b);
+  const trimmed = count > 2 ? recent.slice(1, -1) : recent;
+  return trimmed.reduce((sum, time) => sum + time, 0) / trimmed.length;
+}
+
+export class SolveStats {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage || null;
+    this.solves = this.load();
+  }
+
+  load() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const parsed = JSON.parse(this.storage.getItem(STATS_STORAGE_KEY) || "null");
+      if (!parsed || parsed.version !== STATS_VERSION || !Array.isArray(parsed.solves)) {
+        return [];
+      }
+      return parsed.solves.filter(isValidSolve);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(STATS_STORAGE_KEY, JSON.stringify({ version: STATS_VERSION, solves: this.solves }));
+    } catch (error) {
+      // Storage full or disabled: keep the in-memory stats for this session.
+    }
+  }
+
+  record(solve) {
+    this.solves.push({
+      date: solve.date,
+      timeMs: Math.round(solve.timeMs),
+      moves: solve.moves,
+      seed: solve.seed || null,
+      category: solve.category,
+    });
+    if (this.solves.length > MAX_STORED_SOLVES) {
+      this.solves.splice(0, this.solves.length - MAX_STORED_SOLVES);
+    }
+    this.save();
+  }
+
+  clear() {
+    this.solves = [];
+    this.save();
+  }
+
+  solvesFor(category) {
+    return this.solves.filter((solve) => solve.category === category);
+  }
+
+  summary(category) {
+    const times = this.solvesFor(category).map((solve) => solve.timeMs);
+    return {
+      count: times.length,
+      best: times.length > 0 ? Math.min(...times) : null,
+      ao5: averageOf(times, 5),
+      ao12: averageOf(times, 12),
+    };
+  }
+}
+
+function isValidSolve(solve) {
+  return (
+    solve &&
+    typeof solve.date === "string" &&
+    Number.isFinite(solve.timeMs) &&
+    Number.isInteger(solve.moves) &&
+    typeof solve.category === "string"
+  );
+}
@@ -0,0 +1,96 @@
+export const DEFAULT_STICKER_MARK_ID = "none";
+
+// Marks drawn on top of every sticker so colors can be told apart without relying on
+// hue: a shape per color index, or the color number itself.
+export const STICKER_MARKS = [
+  { id: "none", label: "None" },
+  { id: "symbols", label: "Symbols" },
+  { id: "numbers", label: "Numbers" },
+];
+
+const MARK_FILL = "#ffffff";
+const MARK_OUTLINE = "rgba(0, 0, 0, 0.7)";
+
+// Each shape is traced on a unit square centered on the origin (y down).
+const SYMBOL_PATHS = [
+  (context) => context.arc(0, 0, 0.5, 0, Math.PI * 2),
+  (context) => polygonPath(context, 3, 0.56, -Math.PI / 2),
+  (context) => context.rect(-0.42, -0.42, 0.84, 0.84),
+  (context) => polygonPath(context, 4, 0.56, -Math.PI / 2),
+  (context) => starPath(context, 5, 0.58, 0.25),
+  (context) => crossPath(context, 0.5, 0.18),
+  (context) => polygonPath(context, 6, 0.52, 0),
+  (context) => polygonPath(context, 3, 0.56, Math.PI / 2),
+];
+
+export function getStickerMark(id) {
+  return STICKER_MARKS.find((mark) => mark.id === id) || null;
+}
+
+// Draws the mark for `colorIndex` centered in the given rectangle. Symbols fall back to
+// numbers once a scheme has more colors than there are shapes.
+export function drawStickerMark(context, markId, colorIndex, x, y, width, height) {
+  if (markId === "none") {
+    return;
+  }
+
+  const size = Math.min(width, height) * 0.55;
+  context.save();
+  context.translate(x + width / 2, y + height / 2);
+  context.fillStyle = MARK_FILL;
+  context.strokeStyle = MARK_OUTLINE;
+  context.lineJoin = "round";
+  if (markId === "symbols" && colorIndex < SYMBOL_PATHS.length) {
+    context.scale(size, size);
+    context.lineWidth = 0.1;
+    context.beginPath();
+    SYMBOL_PATHS[colorIndex](context);
+    context.closePath();
+    context.stroke();
+    context.fill();
+  } else {
+    const label = String(colorIndex + 1);
+    context.font = `700 ${Math.round(size / Math.max(1, label.length * 0.55))}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.lineWidth = size * 0.1;
+    context.strokeText(label, 0, 0);
+    context.fillText(label, 0, 0);
+  }
+  context.restore();
+}
+
+function polygonPath(context, sides, radius, startAngle) {
+  for (let index = 0; index < sides; index += 1) {
+    const angle = startAngle + (index * Math.PI * 2) / sides;
+    context.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+}
+
+function starPath(context, points, outerRadius, innerRadius) {
+  for (let index = 0; index < points * 2; index += 1) {
+    const radius = index % 2 === 0 ? outerRadius : innerRadius;
+    const angle = -Math.PI / 2 + (index * Math.PI) / points;
+    context.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+}
+
+function crossPath(context, arm, halfWidth) {
+  const outline = [
+    [-halfWidth, -arm],
+    [halfWidth, -arm],
+    [halfWidth, -halfWidth],
+    [arm, -halfWidth],
+    [arm, halfWidth],
+    [halfWidth, halfWidth],
+    [halfWidth, arm],
+    [-halfWidth, arm],
+    [-halfWidth, halfWidth],
+    [-arm, halfWidth],
+    [-arm, -halfWidth],
+    [-halfWidth, -halfWidth],
+  ];
+  for (const [pointX, pointY] of outline) {
+    context.lineTo(pointX, pointY);
+  }
+}
@@ -0,0 +1,36 @@
+import { modulo } from "./math.js";
+
+export const DEFAULT_TOPOLOGY_ID = "torus";
+
+// How the edges of the u x v grid are glued together. Columns always wrap straight
+// around in v; walking off the last column in +u lands on column 0 in the row given by
+// `seamRow`. The Klein bottle reverses v there (`flip`), the twisted torus shifts it by
+// half a turn (`twist`).
+export const TOPOLOGIES = [
+  { id: "torus", label: "Torus", flip: false, twist: false },
+  { id: "klein", label: "Klein bottle", flip: true, twist: false },
+  { id: "twisted", label: "Twisted torus", flip: false, twist: true },
+];
+
+export function getTopology(id) {
+  return TOPOLOGIES.find((topology) => topology.id === id) || null;
+}
+
+// Rows the u seam shifts by. Half the rows keeps every longitudinal ring down to two rows:
+// a shift that chains all rows into one ring would make each L move a screw motion of the
+// whole surface, which the solved check rightly ignores.
+export function seamShift(topology, vCells) {
+  return topology.twist ? vCells / 2 : 0;
+}
+
+// The half twist needs an even row count, and at least four rows so there is more than
+// one longitudinal ring.
+export function topologySupportsGrid(topology, vCells) {
+  return !topology.twist || (vCells % 2 === 0 && vCells >= 4);
+}
+
+// Row reached after crossing the u seam forwards (direction 1) or backwards (-1).
+export function seamRow(topology, iv, vCells, direction = 1) {
+  const row = topology.flip ? vCells - 1 - iv : iv;
+  return modulo(row + direction * seamShift(topology, vCells), vCells);
+}
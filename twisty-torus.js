@@ -0,0 +1,113 @@
+import { createGame } from "./game.js";
+import { GAME_MARKUP } from "./game-markup.js";
+import { parseGridSize } from "./puzzle.js";
+
+const STYLESHEET_URL = new URL("./styles.css", import.meta.url);
+// The page stylesheet assumes the game fills the viewport; an element fills itself instead.
+const HOST_STYLES = `
+:host {
+  display: block;
+  height: 32rem;
+  font-family: "Avenir Next", "Segoe UI", sans-serif;
+  color: var(--text);
+  background: var(--bg);
+}
+
+:host([hidden]) {
+  display: none;
+}
+
+:host .app-shell {
+  width: 100%;
+  height: 100%;
+}
+
+:host .stage-wrap {
+  min-height: 0;
+}
+
+:host([controls="none"]) .app-shell {
+  grid-template-rows: 1fr;
+}
+
+:host([controls="none"]) .topbar,
+:host([controls="none"]) .statusbar {
+  display: none;
+}
+`;
+
+// <twisty-torus grid="8x4" palette="okabe-ito" seed="docs" controls="none">
+// Each element runs its own game in its shadow root, so several can share a page. They
+// save nothing, leave the page URL alone and only take keys while focus is inside them;
+// `element.api` is the same interface the full page exposes as window.TwistyTorus.
+export class TwistyTorusElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["grid", "palette", "seed"];
+  }
+
+  constructor() {
+    super();
+    this.game = null;
+  }
+
+  get api() {
+    return this.game ? this.game.api : null;
+  }
+
+  connectedCallback() {
+    if (this.game) {
+      return;
+    }
+
+    const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
+    shadow.innerHTML = `
+      <link rel="stylesheet" href="${STYLESHEET_URL}" />
+      <style>${HOST_STYLES}</style>
+      <div class="app-shell">${GAME_MARKUP}</div>
+    `;
+    const params = new URLSearchParams();
+    for (const name of ["grid", "seed"]) {
+      if (this.hasAttribute(name)) {
+        params.set(name, this.getAttribute(name));
+      }
+    }
+    this.game = createGame(shadow, {
+      params,
+      palette: this.getAttribute("palette"),
+      storage: null,
+      keyTarget: this,
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.game) {
+      this.game.dispose();
+      this.game = null;
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.game || oldValue === value) {
+      return;
+    }
+
+    if (name === "grid") {
+      const size = parseGridSize(value || "");
+      if (size) {
+        this.game.setGridSize(size.uCells, size.vCells);
+      }
+    } else if (name === "palette") {
+      this.game.setPalette(value);
+    } else if (name === "seed") {
+      if (value) {
+        this.game.api.scramble(value);
+      } else {
+        this.game.api.reset();
+      }
+    }
+  }
+}
+
+if (!customElements.get("twisty-torus")) {
+  customElements.define("twisty-torus", TwistyTorusElement);
+}